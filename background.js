@@ -4,9 +4,191 @@
  * Uses Lambda backend for OCR and card lookup
  */
 
-const API_BASE = 'https://ol1tn98osl.execute-api.us-west-2.amazonaws.com/prod';
-const API_ENDPOINT = `${API_BASE}/lookup`;
-const API_ENDPOINT_BY_NAME = `${API_BASE}/lookup-by-name`;
+// Settings (backend endpoint), lookup and image cache, offline queue
+importScripts('settings.js', 'card-cache.js');
+
+// Backend API version this extension speaks; a self-hosted backend reporting another in /health is refused
+const BACKEND_API_VERSION = 1;
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+const SCRYFALL_API_BASE = 'https://api.scryfall.com';
+// Basic lands have hundreds of printings; the carousel shows the newest
+const MAX_PRINTING_PAGES = 2;
+
+let apiEndpointPromise = null;
+// Self-hosted endpoint -> its /health check, made once per service worker start
+const backendChecks = new Map();
+// Backend base URL -> pending install token registration
+const tokenRegistrations = new Map();
+// Backend error codes for a token it won't accept, answered by registering again
+const TOKEN_ERROR_CODES = ['missing_token', 'invalid_token'];
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.apiEndpoint) {
+    apiEndpointPromise = null;
+  }
+});
+
+/**
+ * Check a backend's /health: reachable, and speaking the API version this extension expects
+ * @param {string} apiBase - Backend base URL
+ * @returns {Promise<{version: string, apiVersion: number, compatible: boolean}>}
+ */
+async function checkBackend(apiBase) {
+  const response = await fetchNetwork(`${apiBase}/health`, { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Health check failed (HTTP ${response.status})`);
+  }
+  const health = await response.json().catch(() => ({}));
+  if (health.status !== 'ok') {
+    throw new Error('Not an MTG Card Lookup backend');
+  }
+  return { version: health.version, apiVersion: health.apiVersion, compatible: health.apiVersion === BACKEND_API_VERSION };
+}
+
+/**
+ * Base URL of the configured backend: the self-hosted endpoint from the settings
+ * (checked for compatibility on first use), or the hosted backend
+ */
+async function getApiBase() {
+  if (!apiEndpointPromise) {
+    apiEndpointPromise = new Promise(resolve => loadSettings(settings => resolve(settings.apiEndpoint)));
+  }
+  const apiEndpoint = await apiEndpointPromise;
+  if (!apiEndpoint) {
+    return DEFAULT_API_BASE;
+  }
+
+  if (!backendChecks.has(apiEndpoint)) {
+    // A failed check (e.g. while offline) is retried on the next request
+    backendChecks.set(apiEndpoint, checkBackend(apiEndpoint).catch((error) => {
+      backendChecks.delete(apiEndpoint);
+      throw error;
+    }));
+  }
+  const health = await backendChecks.get(apiEndpoint);
+  if (!health.compatible) {
+    throw new Error(`The backend at ${apiEndpoint} is incompatible (API version ${health.apiVersion}, expected ${BACKEND_API_VERSION})`);
+  }
+  return apiEndpoint;
+}
+
+/**
+ * Error for a failed backend request, keeping the backend's structured error:
+ * `status`, `code` (e.g. 'quota_exceeded') and `retryAfter` in seconds
+ * @param {Response} response - The failed response
+ * @param {string} fallbackMessage - Message when the backend didn't send one
+ */
+async function apiError(response, fallbackMessage) {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.error || fallbackMessage);
+  error.status = response.status;
+  error.code = data.code;
+  error.retryAfter = data.retryAfter ?? (Number(response.headers.get('Retry-After')) || undefined);
+  return error;
+}
+
+/**
+ * This install's token for a backend, registered on first use and kept in local storage
+ * Backends without access control (older self-hosted ones) get no token
+ * @param {string} apiBase - Backend base URL
+ * @param {boolean} renew - Register again, after the backend rejected the stored token
+ * @returns {Promise<string|null>}
+ */
+async function getInstallToken(apiBase, renew = false) {
+  const { installTokens = {} } = await chrome.storage.local.get('installTokens');
+  if (!renew && apiBase in installTokens) {
+    return installTokens[apiBase];
+  }
+
+  if (!tokenRegistrations.has(apiBase)) {
+    tokenRegistrations.set(apiBase, (async () => {
+      const response = await fetchNetwork(`${apiBase}/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+      });
+      // A backend without /register (404, or API Gateway's 403 for unknown routes) just doesn't use
+      // tokens; any other failure is reported and registration is tried again on the next request
+      const noRegisterRoute = response.status === 404 || (response.status === 403 && !(await response.clone().json().catch(() => ({}))).code);
+      if (!response.ok && !noRegisterRoute) {
+        throw await apiError(response, 'Registration failed');
+      }
+      const { token = null } = response.ok ? await response.json().catch(() => ({})) : {};
+      const { installTokens: stored = {} } = await chrome.storage.local.get('installTokens');
+      await chrome.storage.local.set({ installTokens: { ...stored, [apiBase]: token } });
+      return token;
+    })().finally(() => tokenRegistrations.delete(apiBase)));
+  }
+  return tokenRegistrations.get(apiBase);
+}
+
+/**
+ * POST a JSON body to a route on the configured backend with this install's token
+ * @param {string} path - Route such as '/lookup'
+ * @param {Object} body - Request body
+ * @param {string} fallbackMessage - Error message when the backend doesn't send one
+ * @returns {Promise<Object>} - The response data; failures throw an apiError
+ */
+async function apiFetch(path, body, fallbackMessage) {
+  const apiBase = await getApiBase();
+  const send = token => fetchNetwork(`${apiBase}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+
+  let response = await send(await getInstallToken(apiBase));
+  if (!response.ok) {
+    const error = await apiError(response, fallbackMessage);
+    // Only a rejected or missing token is worth registering again for: the token expired, or the
+    // backend turned on access control or changed its secret since it was stored
+    if (!TOKEN_ERROR_CODES.includes(error.code)) {
+      throw error;
+    }
+    response = await send(await getInstallToken(apiBase, true));
+    if (!response.ok) {
+      throw await apiError(response, fallbackMessage);
+    }
+  }
+  return response.json();
+}
+
+/**
+ * Test a backend endpoint entered on the options page
+ * @param {string} apiEndpoint - Base URL, or '' for the hosted backend
+ */
+async function testConnection(apiEndpoint) {
+  const apiBase = parseApiEndpoint(apiEndpoint);
+  if (apiBase === null) {
+    throw new Error('Invalid API endpoint');
+  }
+  // Check again on the next lookup, e.g. after the backend was updated
+  backendChecks.delete(apiBase);
+  return { ...(await checkBackend(apiBase || DEFAULT_API_BASE)), expectedApiVersion: BACKEND_API_VERSION };
+}
+
+let frameNoncePromise = null;
+
+/**
+ * Per-session secret the content scripts tag hotkeys forwarded to embedded players with
+ * Kept in session storage, which content scripts and pages can't read, so it survives
+ * service worker restarts but not a browser restart
+ */
+function getFrameNonce() {
+  if (!frameNoncePromise) {
+    frameNoncePromise = (async () => {
+      const { frameNonce } = await chrome.storage.session.get('frameNonce');
+      if (frameNonce) {
+        return frameNonce;
+      }
+      const nonce = crypto.randomUUID();
+      await chrome.storage.session.set({ frameNonce: nonce });
+      return nonce;
+    })();
+    frameNoncePromise.catch(() => { frameNoncePromise = null; });
+  }
+  return frameNoncePromise;
+}
 
 /**
  * Convert data URL to base64 string (without the data URL prefix)
@@ -18,25 +200,29 @@ function dataUrlToBase64(dataUrl) {
 
 /**
  * Perform card lookup via Lambda backend (OCR + Scryfall in one call)
+ * In 'art' mode the backend falls back to matching the card art when OCR finds no name
+ * Passive scan lookups are sent with source 'scan' and count against their own daily quota
  */
-async function lookupCardFromImage(imageDataUrl) {
+async function lookupCardFromImage(imageDataUrl, mode = 'name', printingDataUrl = null, source = undefined) {
   try {
     console.log('Sending image to Lambda backend...');
 
     const base64Image = dataUrlToBase64(imageDataUrl);
 
-    const response = await fetch(API_ENDPOINT, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ image: base64Image })
-    });
+    // Failures keep the status so callers can back off when throttled or over quota (429)
+    const data = await apiFetch('/lookup', {
+      image: base64Image,
+      mode,
+      printingImage: printingDataUrl ? dataUrlToBase64(printingDataUrl) : undefined,
+      source
+    }, 'Lookup failed');
+    console.log('Lambda response:', data);
 
-    if (!response.ok) {
-      throw new Error('Lookup failed');
+    // Remembered for showing offline, and so a later name lookup of the card is answered locally
+    if (data.found && data.card) {
+      captureCacheKey(imageDataUrl, mode).then(key => cacheLookup(key, data));
+      cacheLookup(nameCacheKey(data.card.name), { found: true, card: data.card });
     }
-
-    const data = await response.json();
-    console.log('Lambda response:', data);
     return data;
   } catch (error) {
     console.error('Lambda lookup error:', error);
@@ -45,44 +231,323 @@ async function lookupCardFromImage(imageDataUrl) {
 }
 
 /**
- * Perform card lookup by name via Lambda backend
+ * Answer an image lookup made while offline: the cached result for the same capture if
+ * there is one, otherwise queue it (hotkey lookups only) to run when the connection is back
+ * @param {Object} request - The lookupCard message
+ * @param {Object} sender - The content script that sent it, answered once the lookup runs
+ */
+async function lookupCardOffline(request, sender) {
+  try {
+    const cached = await getCachedLookup(await captureCacheKey(request.imageData, request.mode || 'name'));
+    if (cached) {
+      return { success: true, ...(await toOfflineResult(cached.result)) };
+    }
+
+    if (request.queueOffline && sender.tab) {
+      await queueLookup({
+        imageData: request.imageData,
+        printingData: request.printingData,
+        mode: request.mode,
+        tabId: sender.tab.id,
+        frameId: sender.frameId
+      });
+      return { success: true, found: false, offline: true, queued: true };
+    }
+  } catch (error) {
+    console.warn('Offline lookup failed:', error);
+  }
+  return { success: false, offline: true, error: 'Offline' };
+}
+
+let sendingQueuedLookups = false;
+
+/**
+ * Run the image lookups queued while offline and send each result to the frame that asked
+ */
+async function sendQueuedLookups() {
+  if (sendingQueuedLookups || !navigator.onLine) {
+    return;
+  }
+
+  sendingQueuedLookups = true;
+  try {
+    const entries = await takeQueuedLookups();
+    for (const [index, entry] of entries.entries()) {
+      let result;
+      try {
+        result = await lookupCardFromImage(entry.imageData, entry.mode, entry.printingData);
+      } catch (error) {
+        if (isOfflineError(error)) {
+          // Offline again: keep this and the remaining lookups for next time
+          for (const remaining of entries.slice(index)) {
+            await queueLookup(remaining);
+          }
+          return;
+        }
+        console.warn('Queued lookup failed:', error.message);
+        continue;
+      }
+
+      try {
+        await chrome.tabs.sendMessage(entry.tabId, { action: 'queuedLookupResult', ...result }, { frameId: entry.frameId });
+      } catch (error) {
+        // The tab was closed or navigated away
+        console.warn('Unable to deliver queued lookup:', error.message);
+      }
+    }
+  } catch (error) {
+    console.warn('Unable to send queued lookups:', error);
+  } finally {
+    sendingQueuedLookups = false;
+  }
+}
+
+self.addEventListener('online', sendQueuedLookups);
+sendQueuedLookups();
+
+/**
+ * Perform card lookup by name, answered from the card cache when the card was looked up
+ * recently; while offline, older cached results are still shown
  */
 async function lookupCardByName(cardName) {
+  const key = nameCacheKey(cardName);
+  const cached = await getCachedLookup(key);
+  if (cached && Date.now() - cached.storedAt < CARD_CACHE_FRESH_MS) {
+    console.log('Card cache hit:', cardName);
+    return cached.result;
+  }
+
   try {
     console.log('Looking up card by name:', cardName);
 
-    const response = await fetch(API_ENDPOINT_BY_NAME, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name: cardName })
-    });
+    const data = await apiFetch('/lookup-by-name', { name: cardName }, 'Lookup failed');
+    console.log('Lambda response:', data);
+    if (data.found && data.card) {
+      cacheLookup(key, data);
+    }
+    return data;
+  } catch (error) {
+    if (isOfflineError(error)) {
+      if (cached) {
+        return toOfflineResult(cached.result);
+      }
+      error.offline = true;
+    }
+    console.error('Lambda lookup error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get card name suggestions for a partially typed name via Lambda backend
+ */
+async function fetchSuggestions(query) {
+  const data = await apiFetch('/autocomplete', { query }, 'Autocomplete failed');
+  return data.suggestions;
+}
+
+/**
+ * Run a Scryfall search query via Lambda backend, one page of results at a time
+ * Invalid queries fail with Scryfall's explanation so the user can fix them
+ */
+async function searchCards(query, page) {
+  return apiFetch('/search', { query, page }, 'Search failed');
+}
+
+/**
+ * Find every card visible in a whole video frame via Lambda backend
+ */
+async function lookupCardsInFrame(imageDataUrl) {
+  try {
+    console.log('Sending video frame to Lambda backend...');
+
+    const data = await apiFetch('/lookup-frame', { image: dataUrlToBase64(imageDataUrl) }, 'Frame lookup failed');
+    console.log('Lambda response:', data);
+    return data;
+  } catch (error) {
+    console.error('Lambda frame lookup error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch a card's rulings directly from Scryfall (loaded on demand by the details panel)
+ */
+async function fetchRulings(cardId) {
+  try {
+    const response = await fetch(`${SCRYFALL_API_BASE}/cards/${encodeURIComponent(cardId)}/rulings`);
 
     if (!response.ok) {
-      throw new Error('Lookup failed');
+      throw new Error('Rulings lookup failed');
     }
 
     const data = await response.json();
-    console.log('Lambda response:', data);
-    return data;
+    return data.data.map(ruling => ({ date: ruling.published_at, text: ruling.comment }));
   } catch (error) {
-    console.error('Lambda lookup error:', error);
+    console.error('Rulings lookup error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch every printing of a card directly from Scryfall via its prints_search_uri
+ * (loaded on demand by the printings carousel)
+ */
+async function fetchPrintings(printsSearchUri) {
+  if (!printsSearchUri.startsWith(`${SCRYFALL_API_BASE}/`)) {
+    throw new Error('Invalid printings URL');
+  }
+
+  try {
+    const printings = [];
+    let url = printsSearchUri;
+    for (let page = 0; url && page < MAX_PRINTING_PAGES; page++) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error('Printings lookup failed');
+      }
+      const data = await response.json();
+      printings.push(...data.data);
+      url = data.has_more ? data.next_page : null;
+    }
+
+    return printings.map((printing) => {
+      const imageUris = printing.image_uris || printing.card_faces?.[0]?.image_uris;
+      const backImageUris = !printing.image_uris && printing.card_faces?.[1]?.image_uris;
+      return {
+        id: printing.id,
+        set: printing.set,
+        setName: printing.set_name,
+        collectorNumber: printing.collector_number,
+        mtgoId: printing.mtgo_id,
+        rarity: printing.rarity,
+        releasedAt: printing.released_at,
+        imageUrl: imageUris?.normal || imageUris?.large,
+        thumbnailUrl: imageUris?.small,
+        backImageUrl: backImageUris ? backImageUris.normal || backImageUris.large : undefined,
+        // Per-face images for transform-style cards
+        faceImageUrls: (printing.card_faces || []).map(face => face.image_uris?.normal),
+        frame: printing.frame,
+        frameEffects: printing.frame_effects,
+        borderColor: printing.border_color,
+        fullArt: printing.full_art,
+        prices: printing.prices && {
+          usd: printing.prices.usd, usdFoil: printing.prices.usd_foil, eur: printing.prices.eur, tix: printing.prices.tix
+        },
+        purchaseUris: printing.purchase_uris
+      };
+    });
+  } catch (error) {
+    console.error('Printings lookup error:', error);
     throw error;
   }
 }
 
+/**
+ * Screenshot the visible tab and crop a region of it, for videos the content script can't read
+ * (cross-origin or DRM-protected). The screenshot is in device pixels, so the CSS-pixel rect
+ * is scaled by the page's devicePixelRatio; the crop is returned at `scale` pixels per CSS pixel.
+ */
+async function captureTabRegion(windowId, rect, devicePixelRatio, scale) {
+  // captureVisibleTab needs <all_urls> (a content script's keydown doesn't grant activeTab);
+  // it's optional and granted from the options page
+  if (!(await chrome.permissions.contains({ origins: ['<all_urls>'] }))) {
+    throw new Error('Screenshot capture is off (turn it on in the options)');
+  }
+  const screenshot = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+  const bitmap = await createImageBitmap(await (await fetch(screenshot)).blob());
+
+  const sourceX = Math.max(0, Math.round(rect.x * devicePixelRatio));
+  const sourceY = Math.max(0, Math.round(rect.y * devicePixelRatio));
+  const sourceWidth = Math.min(bitmap.width - sourceX, Math.round(rect.width * devicePixelRatio));
+  const sourceHeight = Math.min(bitmap.height - sourceY, Math.round(rect.height * devicePixelRatio));
+  if (sourceWidth <= 0 || sourceHeight <= 0) {
+    throw new Error('Region is outside the visible tab');
+  }
+
+  const canvas = new OffscreenCanvas(
+    Math.round(sourceWidth / devicePixelRatio * scale),
+    Math.round(sourceHeight / devicePixelRatio * scale)
+  );
+  canvas.getContext('2d').drawImage(bitmap, sourceX, sourceY, sourceWidth, sourceHeight, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
+}
+
+// Scripts injected into pages the user enables from the popup (same as the built-in sites)
+// (overlay.css is loaded by overlays.js into its shadow root)
+const SITE_SCRIPT_FILES = ['settings.js', 'sites.js', 'overlays.js', 'content.js', 'scanner.js'];
+
+/**
+ * ID of the dynamically registered content script for an origin
+ */
+function siteScriptId(origin) {
+  return `site:${origin}`;
+}
+
+/**
+ * Run the content script on an origin the user opted in to (or stop running it)
+ * The popup requests the host permission first, since that needs a user gesture
+ */
+async function setSiteEnabled(origin, enabled, tabId) {
+  const id = siteScriptId(origin);
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+
+  if (!enabled) {
+    if (registered.length) {
+      await chrome.scripting.unregisterContentScripts({ ids: [id] });
+    }
+    return;
+  }
+
+  if (!registered.length) {
+    await chrome.scripting.registerContentScripts([{
+      id,
+      matches: [`${origin}/*`],
+      js: SITE_SCRIPT_FILES,
+      allFrames: true,
+      runAt: 'document_idle'
+    }]);
+  }
+
+  // Start on the open tab right away instead of waiting for a reload
+  if (tabId != null) {
+    try {
+      await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: SITE_SCRIPT_FILES });
+    } catch (error) {
+      console.warn('Unable to inject into the current tab:', error.message);
+    }
+  }
+}
+
+/**
+ * Check whether the content script is registered for an origin
+ */
+async function isSiteEnabled(origin) {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [siteScriptId(origin)] });
+  return registered.length > 0;
+}
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'lookupCard') {
     console.log('Card lookup request received from content script');
 
-    lookupCardFromImage(request.imageData)
+    lookupCardFromImage(request.imageData, request.mode, request.printingData, request.source)
       .then(result => {
         console.log('Sending lookup result back to content script:', result);
         sendResponse({ success: true, ...result });
+        // Back online: lookups queued while offline can run now
+        sendQueuedLookups();
       })
-      .catch(error => {
+      .catch(async error => {
+        if (isOfflineError(error)) {
+          sendResponse(await lookupCardOffline(request, sender));
+          return;
+        }
         console.error('Lookup failed:', error);
-        sendResponse({ success: false, error: error.message });
+        sendResponse({ success: false, error: error.message, status: error.status, code: error.code, retryAfter: error.retryAfter });
       });
 
     return true;
@@ -98,11 +563,118 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       })
       .catch(error => {
         console.error('Lookup failed:', error);
+        sendResponse({
+          success: false, error: error.message, offline: error.offline, status: error.status, code: error.code, retryAfter: error.retryAfter
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'lookupFrame') {
+    console.log('Frame lookup request received from content script');
+
+    lookupCardsInFrame(request.imageData)
+      .then(result => {
+        console.log('Sending frame result back to content script:', result);
+        sendResponse({ success: true, ...result });
+      })
+      .catch(error => {
+        console.error('Frame lookup failed:', error);
+        sendResponse({ success: false, error: error.message, status: error.status, code: error.code, retryAfter: error.retryAfter });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'autocomplete') {
+    fetchSuggestions(request.query)
+      .then(suggestions => sendResponse({ success: true, suggestions }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'searchCards') {
+    searchCards(request.query, request.page)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('Search failed:', error);
+        sendResponse({ success: false, error: error.message, status: error.status, code: error.code, retryAfter: error.retryAfter });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'testConnection') {
+    testConnection(request.apiEndpoint)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getRulings') {
+    fetchRulings(request.cardId)
+      .then(rulings => sendResponse({ success: true, rulings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getPrintings') {
+    fetchPrintings(request.printsSearchUri)
+      .then(printings => sendResponse({ success: true, printings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'captureTabRegion') {
+    captureTabRegion(sender.tab.windowId, request.rect, request.devicePixelRatio, request.scale)
+      .then(imageData => sendResponse({ success: true, imageData }))
+      .catch(error => {
+        console.error('Tab capture failed:', error);
         sendResponse({ success: false, error: error.message });
       });
 
     return true;
   }
+
+  if (request.action === 'getFrameNonce') {
+    getFrameNonce()
+      .then(nonce => sendResponse({ success: true, nonce }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getSiteEnabled') {
+    isSiteEnabled(request.origin)
+      .then(enabled => sendResponse({ success: true, enabled }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'setSiteEnabled') {
+    setSiteEnabled(request.origin, request.enabled, request.tabId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Unable to change site access:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+});
+
+// Stop injecting into sites whose access the user revoked in the browser's extension settings
+chrome.permissions.onRemoved.addListener(({ origins = [] }) => {
+  for (const pattern of origins) {
+    setSiteEnabled(pattern.replace(/\/\*$/, ''), false)
+      .catch(error => console.error('Unable to unregister site script:', error));
+  }
 });
 
 // Extension installed/updated
@@ -0,0 +1,241 @@
+/**
+ * Client-side card cache for the MTG Card Lookup service worker
+ *
+ * Lookup results are kept in IndexedDB, keyed by normalized card name and by a digest of
+ * the capture, and card images in the Cache API. Repeat name lookups are answered from
+ * here without calling the backend, and cached cards (with their images inlined) are
+ * still shown while offline. Image lookups made while offline wait in a queue until the
+ * connection is back.
+ */
+
+const CARD_DB_NAME = 'mtg-card-lookup';
+const CARD_DB_VERSION = 1;
+const CARD_IMAGE_CACHE = 'mtg-card-images';
+// Repeat name lookups are served locally for this long; older entries are only used offline
+const CARD_CACHE_FRESH_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED_LOOKUPS = 500;
+const MAX_CACHED_IMAGES = 300;
+const MAX_QUEUED_LOOKUPS = 20;
+// Queued lookups older than this are dropped instead of popping up long after the hotkey press
+const MAX_QUEUE_AGE_MS = 15 * 60 * 1000;
+
+let cardDbPromise = null;
+
+/**
+ * Open the cache database ('lookups' by key, and the 'queue' of offline image lookups)
+ */
+function openCardDb() {
+  if (!cardDbPromise) {
+    cardDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CARD_DB_NAME, CARD_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('lookups', { keyPath: 'key' }).createIndex('storedAt', 'storedAt');
+        db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        cardDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return cardDbPromise;
+}
+
+/**
+ * Run requests against an object store, resolving with the returned request's result
+ * once the transaction has committed
+ * @param {string} storeName - 'lookups' or 'queue'
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the object store; may return an IDBRequest
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openCardDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * fetch, marking a rejection of the request itself (no network, DNS failure, connection refused)
+ * so isOfflineError can tell it apart from errors thrown while handling a response
+ */
+async function fetchNetwork(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    if (error instanceof TypeError) {
+      error.network = true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether a failed request failed because the network is down
+ */
+function isOfflineError(error) {
+  return !navigator.onLine || error?.network === true;
+}
+
+/**
+ * Cache key for a card name, normalized the same way as the backend's normalizeName
+ * (no diacritics or punctuation), so 'Lim-Dûl's Vault' and 'lim-dul's vault' share an entry
+ */
+function nameCacheKey(cardName) {
+  const normalized = cardName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9\s|!]/g, '').replace(/\s+/g, ' ').trim();
+  return `name:${normalized}`;
+}
+
+/**
+ * Cache key for an image lookup: the same capture (a paused frame) gives the same key
+ */
+async function captureCacheKey(imageDataUrl, mode) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(imageDataUrl));
+  const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `capture:${mode}:${hex}`;
+}
+
+/**
+ * Get a cached lookup result
+ * @returns {Promise<{key: string, result: Object, storedAt: number}|undefined>}
+ */
+async function getCachedLookup(key) {
+  try {
+    return await withStore('lookups', 'readonly', store => store.get(key));
+  } catch (error) {
+    // A broken cache only costs a backend call
+    console.warn('Card cache read failed:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Cache a lookup result and its card images, dropping the oldest entries over the limits
+ */
+async function cacheLookup(key, result) {
+  try {
+    await withStore('lookups', 'readwrite', store => store.put({ key, result, storedAt: Date.now() }));
+    await pruneLookups();
+    if (result.card) {
+      await cacheCardImages(result.card);
+    }
+  } catch (error) {
+    console.warn('Card cache write failed:', error);
+  }
+}
+
+async function pruneLookups() {
+  await withStore('lookups', 'readwrite', (store) => {
+    store.count().onsuccess = (event) => {
+      let excess = event.target.result - MAX_CACHED_LOOKUPS;
+      if (excess <= 0) {
+        return;
+      }
+      store.index('storedAt').openCursor().onsuccess = (cursorEvent) => {
+        const cursor = cursorEvent.target.result;
+        if (cursor && excess-- > 0) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    };
+  });
+}
+
+/**
+ * Every image URL the overlay shows for a card (both faces of transform-style cards)
+ */
+function getCardImageUrls(card) {
+  const urls = [card.imageUrl, card.backImageUrl, ...(card.faces || []).map(face => face.imageUrl)];
+  return [...new Set(urls.filter(Boolean))];
+}
+
+async function cacheCardImages(card) {
+  const cache = await caches.open(CARD_IMAGE_CACHE);
+  for (const url of getCardImageUrls(card)) {
+    if (!(await cache.match(url))) {
+      await cache.add(url);
+    }
+  }
+
+  // Cache keys are in insertion order, oldest first
+  const keys = await cache.keys();
+  for (const request of keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES))) {
+    await cache.delete(request);
+  }
+}
+
+/**
+ * Encode a blob as a data URL
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'image/png'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Mark a cached result as shown offline, inlining its cached images since the page
+ * can't load them from Scryfall
+ */
+async function toOfflineResult(result) {
+  if (!result.card) {
+    return { ...result, offline: true };
+  }
+
+  const cache = await caches.open(CARD_IMAGE_CACHE);
+  const dataUrls = new Map();
+  for (const url of getCardImageUrls(result.card)) {
+    const response = await cache.match(url);
+    if (response) {
+      dataUrls.set(url, await blobToDataUrl(await response.blob()));
+    }
+  }
+  const inline = url => dataUrls.get(url) || url;
+
+  const card = {
+    ...result.card,
+    imageUrl: inline(result.card.imageUrl),
+    backImageUrl: inline(result.card.backImageUrl),
+    faces: result.card.faces && result.card.faces.map(face => ({ ...face, imageUrl: inline(face.imageUrl) })),
+    offline: true
+  };
+  return { ...result, card, offline: true };
+}
+
+/**
+ * Queue an image lookup made while offline, dropping the oldest over the limit
+ * @param {Object} entry - imageData, printingData, mode, and the tabId/frameId to answer
+ */
+async function queueLookup(entry) {
+  await withStore('queue', 'readwrite', (store) => {
+    store.add({ queuedAt: Date.now(), ...entry });
+    store.getAllKeys().onsuccess = (event) => {
+      for (const id of event.target.result.slice(0, -MAX_QUEUED_LOOKUPS)) {
+        store.delete(id);
+      }
+    };
+  });
+}
+
+/**
+ * Remove and return every queued lookup that is still recent enough to answer
+ */
+async function takeQueuedLookups() {
+  const entries = await withStore('queue', 'readwrite', (store) => {
+    const request = store.getAll();
+    store.clear();
+    return request;
+  });
+  return entries.filter(entry => Date.now() - entry.queuedAt < MAX_QUEUE_AGE_MS);
+}
@@ -1,6 +1,6 @@
 /**
  * Content script for MTG Card Lookup extension
- * Runs on YouTube pages and listens for backtick (`) key press
+ * Runs on video pages (YouTube, Twitch, Kick and opted-in sites) and listens for the lookup hotkeys (backtick (`) by default)
  */
 
 // Global cursor position tracking
@@ -13,47 +13,146 @@ document.addEventListener('mousemove', (event) => {
   currentCursorY = event.clientY;
 });
 
-// Listen for backtick key press
+// User settings (hotkeys, capture region), kept current when changed on the options page
+let settings = DEFAULT_SETTINGS;
+loadSettings((loaded) => {
+  settings = loaded;
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && Object.keys(changes).some(key => key in DEFAULT_SETTINGS)) {
+    loadSettings((loaded) => {
+      settings = loaded;
+    });
+  }
+});
+
+// Per-session secret tagging hotkeys forwarded to embedded players, so a page embedding
+// a player can't post fake ones; pages can't read it from the service worker
+let frameNonce = null;
+chrome.runtime.sendMessage({ action: 'getFrameNonce' }, (response) => {
+  frameNonce = chrome.runtime.lastError ? null : response?.nonce;
+});
+
+// What each configurable hotkey does
+const HOTKEY_ACTIONS = {
+  frameHotkey: () => handleFrameLookup(), // multi-card frame detection
+  artHotkey: () => handleCardLookup('art'), // card-art recognition
+  lookupHotkey: () => handleCardLookup(),
+  debugHotkey: () => handleDebugMode(),
+  searchHotkey: () => showSearchPanel()
+};
+
+// Listen for the configured hotkeys (backtick by default)
+// Uses the capture phase because players (e.g. YouTube in fullscreen) handle keys themselves
+// and may stop them from reaching the document
 document.addEventListener('keydown', (event) => {
   // Debug logging to help diagnose key press issues
   console.log('Key pressed:', event.key, 'Code:', event.code, 'Shift:', event.shiftKey);
 
   // Handle escape key to dismiss any open overlay
   if (event.key === 'Escape') {
-    dismissOverlay();
+    overlays.dismiss();
+    dismissFrameHighlights();
+    dismissPopovers(false);
     return;
   }
 
-  // Check if the key pressed is backtick (`)
-  if (event.key === '`') {
-    // Don't trigger if user is typing in an input field
-    const target = event.target;
-    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
-      return;
-    }
+  const hotkey = hotkeyFromEvent(event);
+  const action = Object.keys(HOTKEY_ACTIONS).find(name => settings[name] === hotkey);
+  if (!hotkey || !action) {
+    return;
+  }
 
-    event.preventDefault();
-    handleCardLookup();
+  // Don't trigger if user is typing in an input field (including our own fallback input)
+  const target = overlays.getEventTarget(event);
+  if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) {
+    return;
   }
 
-  // Check if the key pressed is tilde (~) for debug mode
-  // Tilde requires Shift+backtick on most keyboards
-  if (event.key === '~' || (event.shiftKey && event.key === '`') || (event.shiftKey && event.code === 'Backquote')) {
-    // Don't trigger if user is typing in an input field
-    const target = event.target;
-    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
-      return;
+  event.preventDefault();
+
+  // The video may be in an embedded player; let the content script in that frame handle it
+  // (search doesn't use the video, so it always opens on the page itself)
+  const frame = findVideo(currentCursorX, currentCursorY) || action === 'searchHotkey'
+    ? null
+    : findFrameAt(currentCursorX, currentCursorY);
+  if (frame && frame.contentWindow) {
+    const rect = frame.getBoundingClientRect();
+    // Only delivered while the frame still shows the origin it was embedded with
+    const targetOrigin = new URL(frame.src, location.href).origin;
+    if (frameNonce && targetOrigin !== 'null') {
+      frame.contentWindow.postMessage({
+        type: 'mtg-card-lookup',
+        nonce: frameNonce,
+        action,
+        x: currentCursorX - rect.left,
+        y: currentCursorY - rect.top,
+        offsetX: frameOffset.x + rect.left + frame.clientLeft,
+        offsetY: frameOffset.y + rect.top + frame.clientTop
+      }, targetOrigin);
     }
+    return;
+  }
 
-    event.preventDefault();
-    handleDebugMode();
+  HOTKEY_ACTIONS[action]();
+}, true);
+
+// Move the overlays into (or out of) the fullscreen element and refit them to the new viewport.
+// Note that Escape in fullscreen is taken by the browser to exit fullscreen; the overlays move back
+// to the page and a second Escape closes them.
+document.addEventListener('fullscreenchange', () => {
+  if (!overlays.host) {
+    return;
+  }
+  overlays.mount();
+
+  const layer = overlays.find('.mtg-frame-highlights');
+  if (layer) {
+    layer.position();
+  }
+  for (const popover of overlays.findAll('.mtg-card-popover')) {
+    const rect = popover.getBoundingClientRect();
+    popover.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - rect.width))}px`;
+    popover.style.top = `${Math.max(0, Math.min(rect.top, window.innerHeight - rect.height))}px`;
+  }
+
+  // Moving the host drops focus; put it back inside the open dialog
+  const focusTarget = overlays.find('[role="dialog"] [autofocus], [role="dialog"] button');
+  if (focusTarget) {
+    focusTarget.focus();
   }
 });
 
+// Hotkeys forwarded from the parent page when the cursor is over this frame
+window.addEventListener('message', (event) => {
+  if (event.source !== window.parent || window.parent === window) {
+    return;
+  }
+  const { type, nonce, action, x, y, offsetX, offsetY } = event.data || {};
+  if (type !== 'mtg-card-lookup' || !frameNonce || nonce !== frameNonce || !HOTKEY_ACTIONS[action]) {
+    return;
+  }
+  currentCursorX = x;
+  currentCursorY = y;
+  frameOffset = { x: offsetX || 0, y: offsetY || 0 };
+  HOTKEY_ACTIONS[action]();
+});
+
+// Results of lookups queued while offline, sent by the service worker once it's back online
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action !== 'queuedLookupResult' || !message.found || !message.card) {
+    return;
+  }
+  overlays.dismiss();
+  showCardOverlay(message.card, message.candidates || []);
+  recordLookupHistory(message.card);
+});
+
 /**
- * Handle card lookup when backtick is pressed
+ * Handle card lookup when the lookup (or art lookup) hotkey is pressed
+ * @param {string} mode - 'name' to read the card name, 'art' to also match the card art
  */
-function handleCardLookup() {
+function handleCardLookup(mode = 'name') {
   // Use the globally tracked cursor position
   const cursorX = currentCursorX;
   const cursorY = currentCursorY;
@@ -62,18 +161,21 @@ function handleCardLookup() {
   showLoadingSpinner(null, 'Looking up card...');
 
   // Capture region and send to backend
-  performCardLookup(cursorX, cursorY)
+  performCardLookup(cursorX, cursorY, mode)
     .then((result) => {
-      dismissOverlay();
+      overlays.dismiss();
       if (result.found && result.card && result.card.imageUrl) {
-        showCardOverlay(result.card);
+        showCardOverlay(result.card, result.candidates, { x: cursorX, y: cursorY });
+        recordLookupHistory(result.card);
+      } else if (result.queued) {
+        showFallbackInput('', "You're offline. The lookup will finish when you're back online, or enter a card name to search cached cards.");
       } else {
         showFallbackInput(result.detectedName || '', 'No card detected. Please enter card name manually.');
       }
     })
-    .catch(() => {
-      dismissOverlay();
-      showFallbackInput('', 'Unable to detect card. Please enter card name manually.');
+    .catch((error) => {
+      overlays.dismiss();
+      showLookupError(error, '', 'Unable to detect card. Please enter card name manually.');
     });
 }
 
@@ -82,22 +184,31 @@ function handleCardLookup() {
  * Captures region, sends to backend which does OCR + Scryfall lookup
  * @param {number} cursorX - X coordinate of cursor
  * @param {number} cursorY - Y coordinate of cursor
- * @returns {Promise<Object>} - Result with found, card, detectedName
+ * @param {string} mode - 'name' captures the name bar, 'art' a larger region around the card art
+ * @returns {Promise<Object>} - Result with found, card, candidates, detectedName, matchedBy,
+ *   and queued when the lookup was queued until the browser is back online
  */
-async function performCardLookup(cursorX, cursorY) {
-  const regionWidth = 125;
-  const regionHeight = 60;
-  const canvas = captureRegionAroundCursor(cursorX, cursorY, regionWidth, regionHeight);
+async function performCardLookup(cursorX, cursorY, mode = 'name') {
+  const { width, height } = getCaptureRegion(mode);
+  const { canvas, failureReason } = await captureRegion(cursorX, cursorY, width, height);
 
   if (!canvas) {
-    throw new Error('Failed to capture region');
+    throw new Error(`Failed to capture region: ${failureReason}`);
   }
 
   const imageDataUrl = canvas.toDataURL('image/png');
 
+  // The rest of the card below the name bar shows its set code and frame; art captures already include them
+  let printingDataUrl;
+  if (mode === 'name' && settings.identifyPrinting) {
+    const printing = await captureRegion(cursorX, cursorY + PRINTING_REGION.height / 2 - PRINTING_REGION.nameBarOffset,
+      PRINTING_REGION.width, PRINTING_REGION.height);
+    printingDataUrl = printing.canvas ? printing.canvas.toDataURL('image/png') : undefined;
+  }
+
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(
-      { action: 'lookupCard', imageData: imageDataUrl },
+      { action: 'lookupCard', imageData: imageDataUrl, printingData: printingDataUrl, mode, queueOffline: true },
       (response) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
@@ -105,9 +216,16 @@ async function performCardLookup(cursorX, cursorY) {
         }
 
         if (response && response.success) {
-          resolve({ found: response.found, card: response.card, detectedName: response.detectedName });
+          resolve({
+            found: response.found,
+            card: response.card,
+            candidates: response.candidates || [],
+            detectedName: response.detectedName,
+            matchedBy: response.matchedBy,
+            queued: response.queued
+          });
         } else {
-          reject(new Error(response?.error || 'Lookup failed'));
+          reject(lookupError(response, 'Lookup failed'));
         }
       }
     );
@@ -115,27 +233,254 @@ async function performCardLookup(cursorX, cursorY) {
 }
 
 /**
- * Handle debug mode when tilde (~) is pressed
+ * Error for a failed lookup response, keeping the backend's status, code and retryAfter
+ * @param {Object|undefined} response - Failed response from the service worker
+ * @param {string} fallbackMessage - Message when the response has none
+ * @returns {Error}
+ */
+function lookupError(response, fallbackMessage) {
+  const error = new Error(response?.error || fallbackMessage);
+  error.status = response?.status;
+  error.code = response?.code;
+  error.retryAfter = response?.retryAfter;
+  return error;
+}
+
+/**
+ * Readable wait time for a retryAfter in seconds, e.g. 'in 3 hours'
+ * @param {number|undefined} seconds - Seconds until the backend accepts lookups again
+ * @returns {string}
+ */
+function formatRetryAfter(seconds) {
+  if (!seconds || seconds < 60) {
+    return 'in a moment';
+  }
+  if (seconds < 60 * 60) {
+    const minutes = Math.round(seconds / 60);
+    return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  const hours = Math.round(seconds / (60 * 60));
+  return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Explain a backend access failure (quota, throttling, install token or origin)
+ * @param {{status?: number, code?: string, retryAfter?: number}} error - Failed lookup
+ * @returns {string|null} - Readable message, or null for other failures
+ */
+function describeAccessError(error) {
+  if (!error) {
+    return null;
+  }
+  switch (error.code) {
+    case 'quota_exceeded':
+      return `You've reached today's lookup limit. Lookups will work again ${formatRetryAfter(error.retryAfter)}.`;
+    case 'registration_limit':
+      return `Too many new installs from your network today. Try again ${formatRetryAfter(error.retryAfter)}.`;
+    case 'missing_token':
+    case 'invalid_token':
+      return 'The card lookup service rejected this install. Reload the extension to register it again.';
+    case 'origin_not_allowed':
+      return "The card lookup service doesn't accept requests from this extension. Check the API endpoint in the extension's options.";
+  }
+  if (error.status === 429) {
+    return `Too many lookups right now. Try again ${formatRetryAfter(error.retryAfter)}.`;
+  }
+  return null;
+}
+
+/**
+ * Show why the backend refused a lookup, or the fallback form for any other failure
+ * @param {Object} error - Failed lookup (see describeAccessError)
+ * @param {string} detectedText - Pre-filled text for the fallback form
+ * @param {string} fallbackMessage - Message for the fallback form
+ */
+function showLookupError(error, detectedText, fallbackMessage) {
+  const message = describeAccessError(error);
+  if (message) {
+    overlays.showModal(createAccessErrorDialog(message));
+  } else {
+    showFallbackInput(detectedText, fallbackMessage);
+  }
+}
+
+/**
+ * Handle multi-card detection when Alt+backtick is pressed
+ * Captures the whole video frame and highlights every card the backend recognizes
+ */
+async function handleFrameLookup() {
+  showLoadingSpinner(null, 'Scanning frame for cards...');
+
+  const frame = await captureVideoFrame();
+  if (!frame) {
+    overlays.dismiss();
+    showFallbackInput('', 'No video found to scan. Please enter card name manually.');
+    return;
+  }
+
+  chrome.runtime.sendMessage(
+    { action: 'lookupFrame', imageData: frame.imageDataUrl },
+    (response) => {
+      overlays.dismiss();
+
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showLookupError(chrome.runtime.lastError ? null : response, '', 'Unable to scan frame. Please enter card name manually.');
+        return;
+      }
+
+      if (response.found && response.cards && response.cards.length) {
+        showFrameHighlights(frame.video, response.cards);
+      } else {
+        showFallbackInput('', 'No cards detected in this frame. Please enter card name manually.');
+      }
+    }
+  );
+}
+
+/**
+ * Capture the current frame of the video as a JPEG, downscaled to fit the backend's size limit
+ * Protected or cross-origin video is captured from a screenshot of the tab instead
+ * @param {number} maxSize - Maximum width/height of the captured frame (in pixels)
+ * @returns {Promise<{video: HTMLVideoElement, imageDataUrl: string}|null>} - Captured frame or null if failed
+ */
+async function captureVideoFrame(maxSize = 1920) {
+  const video = findVideo(currentCursorX, currentCursorY);
+  if (!video) {
+    return null;
+  }
+
+  if (!video.mediaKeys) {
+    try {
+      const scale = Math.min(1, maxSize / Math.max(video.videoWidth, video.videoHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      if (!isCanvasBlank(ctx)) {
+        return { video, imageDataUrl: canvas.toDataURL('image/jpeg', 0.85) };
+      }
+    } catch (error) {
+      // Video capture failed (cross-origin), fall back to a screenshot
+      console.debug('captureVideoFrame error:', error.message);
+    }
+  }
+
+  try {
+    const rect = getVideoContentRect(video);
+    const scale = Math.min(window.devicePixelRatio, maxSize / Math.max(rect.width, rect.height));
+    const canvas = await captureTabRegion({ x: rect.left, y: rect.top, width: rect.width, height: rect.height }, scale);
+    return { video, imageDataUrl: canvas.toDataURL('image/jpeg', 0.85) };
+  } catch (error) {
+    console.error('captureVideoFrame screenshot error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the on-screen rectangle of the video picture, excluding letterbox bars
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {{left: number, top: number, width: number, height: number}} - Rectangle in viewport coordinates
+ */
+function getVideoContentRect(video) {
+  const rect = video.getBoundingClientRect();
+  const scale = Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight);
+  const width = video.videoWidth * scale;
+  const height = video.videoHeight * scale;
+  return {
+    left: rect.left + (rect.width - width) / 2,
+    top: rect.top + (rect.height - height) / 2,
+    width,
+    height
+  };
+}
+
+/**
+ * Show clickable highlight boxes over every card detected in the video frame
+ * @param {HTMLVideoElement} video - The video the frame was captured from
+ * @param {Array<{detectedName: string, box: Object, card: Object}>} cards - Detected cards with 0-1 bounding boxes
+ */
+function showFrameHighlights(video, cards) {
+  dismissFrameHighlights();
+
+  const layer = document.createElement('div');
+  layer.className = 'mtg-frame-highlights';
+
+  for (const { box, card } of cards) {
+    const highlight = document.createElement('button');
+    highlight.className = 'mtg-frame-highlight';
+    highlight.style.left = `${box.x * 100}%`;
+    highlight.style.top = `${box.y * 100}%`;
+    highlight.style.width = `${box.width * 100}%`;
+    highlight.style.height = `${box.height * 100}%`;
+    highlight.setAttribute('aria-label', `Show ${card.name}`);
+    highlight.addEventListener('click', () => {
+      const rect = highlight.getBoundingClientRect();
+      showCardOverlay(card, [], { x: rect.right, y: rect.top });
+      recordLookupHistory(card);
+    });
+
+    const label = document.createElement('span');
+    label.className = 'mtg-frame-highlight-label';
+    label.textContent = card.name;
+
+    highlight.appendChild(label);
+    layer.appendChild(highlight);
+  }
+
+  // Keep the boxes over the video as the page scrolls or resizes
+  const position = () => {
+    const rect = getVideoContentRect(video);
+    layer.style.left = `${rect.left}px`;
+    layer.style.top = `${rect.top}px`;
+    layer.style.width = `${rect.width}px`;
+    layer.style.height = `${rect.height}px`;
+  };
+  position();
+  window.addEventListener('scroll', position, true);
+  window.addEventListener('resize', position);
+  layer.position = position;
+  layer.cleanup = () => {
+    window.removeEventListener('scroll', position, true);
+    window.removeEventListener('resize', position);
+  };
+
+  overlays.add(layer);
+}
+
+/**
+ * Remove the frame highlight boxes, if shown
+ */
+function dismissFrameHighlights() {
+  const layer = overlays.find('.mtg-frame-highlights');
+  if (layer) {
+    layer.cleanup();
+    layer.remove();
+  }
+}
+
+/**
+ * Handle debug mode when the debug hotkey (tilde (~) by default) is pressed
  * Shows what the backend is seeing and the OCR result
  */
-function handleDebugMode() {
+async function handleDebugMode() {
   const cursorX = currentCursorX;
   const cursorY = currentCursorY;
 
   console.log('Debug mode triggered at:', cursorX, cursorY);
 
   try {
-    const regionWidth = 125;
-    const regionHeight = 60;
-    const canvas = captureRegionAroundCursor(cursorX, cursorY, regionWidth, regionHeight);
+    const { width, height } = getCaptureRegion('name');
+    const capture = await captureRegion(cursorX, cursorY, width, height);
+    const canvas = capture.canvas;
 
     if (!canvas) {
-      showDebugOverlay(null, cursorX, cursorY, 'Failed to capture region');
+      showDebugOverlay(null, cursorX, cursorY, 'Failed to capture region', null, undefined, [], capture);
       return;
     }
 
     // Show loading state
-    showDebugOverlay(canvas, cursorX, cursorY, null, 'Calling backend...', 'Lambda Backend');
+    showDebugOverlay(canvas, cursorX, cursorY, null, 'Calling backend...', 'Lambda Backend', [], capture);
 
     // Call the backend and show the OCR result
     const imageDataUrl = canvas.toDataURL('image/png');
@@ -143,7 +488,7 @@ function handleDebugMode() {
       { action: 'lookupCard', imageData: imageDataUrl },
       (response) => {
         if (chrome.runtime.lastError) {
-          showDebugOverlay(canvas, cursorX, cursorY, `Error: ${chrome.runtime.lastError.message}`);
+          showDebugOverlay(canvas, cursorX, cursorY, `Error: ${chrome.runtime.lastError.message}`, null, undefined, [], capture);
           return;
         }
 
@@ -152,9 +497,13 @@ function handleDebugMode() {
           const cardInfo = response.found && response.card
             ? `Card found: ${response.card.name}`
             : 'No card match found';
-          showDebugOverlay(canvas, cursorX, cursorY, null, `OCR Result: "${detectedText}"\n${cardInfo}`, 'Lambda Backend');
+          // Cached results skipped OCR, so the text shown is from the first lookup of this capture
+          const cacheInfo = response.cache
+            ? `Cache: ${response.cache.hit ? 'hit' : 'miss'} (${response.cache.store})`
+            : 'Cache: not reported';
+          showDebugOverlay(canvas, cursorX, cursorY, null, `OCR Result: "${detectedText}"\n${cardInfo}\n${cacheInfo}`, 'Lambda Backend', response.candidates, capture);
         } else {
-          showDebugOverlay(canvas, cursorX, cursorY, `Backend error: ${response?.error || 'Unknown error'}`);
+          showDebugOverlay(canvas, cursorX, cursorY, `Backend error: ${response?.error || 'Unknown error'}`, null, undefined, [], capture);
         }
       }
     );
@@ -163,48 +512,100 @@ function handleDebugMode() {
   }
 }
 
+// Region captured around the card art; only the name region is configurable
+const ART_REGION = { width: 240, height: 180 };
+// Region covering a whole card (5:7) whose name bar is under the cursor
+const PRINTING_REGION = { width: 240, height: 336, nameBarOffset: 24 };
+
+/**
+ * Size of the region captured around the cursor, from the user's settings
+ * @param {string} mode - 'name' for the name bar, 'art' for the larger card-art region
+ * @returns {{width: number, height: number}} - Region size in CSS pixels
+ */
+function getCaptureRegion(mode) {
+  if (mode === 'art') {
+    return ART_REGION;
+  }
+  return { width: settings.regionWidth, height: settings.regionHeight };
+}
+
+/**
+ * Check whether a canvas can be read back; drawing a cross-origin video or image taints it
+ * @param {CanvasRenderingContext2D} ctx - Context of the canvas
+ * @returns {boolean} - True if the pixels are readable
+ */
+function isCanvasReadable(ctx) {
+  try {
+    ctx.getImageData(0, 0, 1, 1);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
+/**
+ * Check whether a canvas is a single flat color, which is what protected (DRM) video draws as
+ * @param {CanvasRenderingContext2D} ctx - Context of the canvas
+ * @returns {boolean} - True if every pixel is (nearly) the same
+ */
+function isCanvasBlank(ctx) {
+  const { data } = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+  for (let i = 4; i < data.length; i += 4) {
+    if (Math.abs(data[i] - data[0]) > 8 || Math.abs(data[i + 1] - data[1]) > 8 || Math.abs(data[i + 2] - data[2]) > 8) {
+      return false;
+    }
+  }
+  return true;
+}
 
 /**
- * Capture a region of the screen around the cursor position
+ * Capture a region of the screen around the cursor position from the video (or an image) under it
  * @param {number} cursorX - X coordinate of cursor
  * @param {number} cursorY - Y coordinate of cursor
  * @param {number} regionWidth - Width of the region to capture (in pixels)
  * @param {number} regionHeight - Height of the region to capture (in pixels)
- * @returns {HTMLCanvasElement|null} - Canvas with captured region or null if failed
+ * @returns {{canvas: HTMLCanvasElement|null, path: string|null, failureReason: string|null, rect: Object}} -
+ *   Canvas with the captured region and the capture path used, or null and why nothing could be captured
  */
 function captureRegionAroundCursor(cursorX, cursorY, regionWidth, regionHeight) {
-  try {
-    // Calculate region bounds
-    const startX = Math.max(0, cursorX - regionWidth / 2);
-    const startY = Math.max(0, cursorY - regionHeight / 2);
-    const endX = Math.min(window.innerWidth, startX + regionWidth);
-    const endY = Math.min(window.innerHeight, startY + regionHeight);
-
-    const width = endX - startX;
-    const height = endY - startY;
-
-    // Create canvas at 2x resolution for better OCR quality
-    const scale = 2;
+  // Calculate region bounds
+  const startX = Math.max(0, cursorX - regionWidth / 2);
+  const startY = Math.max(0, cursorY - regionHeight / 2);
+  const endX = Math.min(window.innerWidth, startX + regionWidth);
+  const endY = Math.min(window.innerHeight, startY + regionHeight);
+
+  const width = endX - startX;
+  const height = endY - startY;
+  const rect = { x: startX, y: startY, width, height };
+
+  // Create canvas at higher resolution (2x by default) for better OCR quality
+  const scale = settings.captureScale;
+  const createContext = () => {
     const canvas = document.createElement('canvas');
     canvas.width = width * scale;
     canvas.height = height * scale;
-    const ctx = canvas.getContext('2d');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
     ctx.scale(scale, scale);
+    return ctx;
+  };
+
+  let failureReason = null;
 
+  try {
     // Try to capture video content first
-    const video = document.querySelector('video');
-    let capturedContent = false;
+    const video = findVideo(cursorX, cursorY);
 
-    if (video && video.readyState >= 2) { // HAVE_CURRENT_DATA or better
-      try {
-        // Get video element's position and dimensions
-        const videoRect = video.getBoundingClientRect();
+    if (video) {
+      // Get video element's position and dimensions
+      const videoRect = video.getBoundingClientRect();
 
-        // Check if cursor region overlaps with video
-        if (startX < videoRect.right && endX > videoRect.left &&
-            startY < videoRect.bottom && endY > videoRect.top) {
+      // Check if cursor region overlaps with video
+      if (startX < videoRect.right && endX > videoRect.left &&
+          startY < videoRect.bottom && endY > videoRect.top) {
 
+        if (video.mediaKeys) {
+          failureReason = 'Video is DRM-protected (Encrypted Media Extensions)';
+        } else {
           // Calculate scaling factors from video display size to actual video dimensions
           const scaleX = video.videoWidth / videoRect.width;
           const scaleY = video.videoHeight / videoRect.height;
@@ -216,59 +617,132 @@ function captureRegionAroundCursor(cursorX, cursorY, regionWidth, regionHeight)
           const sourceHeight = Math.min(video.videoHeight - sourceY, height * scaleY);
 
           // Draw from video to canvas
+          const ctx = createContext();
           ctx.drawImage(video,
             sourceX, sourceY, sourceWidth, sourceHeight,  // source rect
             0, 0, width, height);  // dest rect
 
-          capturedContent = true;
+          if (!isCanvasReadable(ctx)) {
+            failureReason = 'Video is cross-origin (canvas is tainted)';
+          } else if (isCanvasBlank(ctx)) {
+            failureReason = 'Video frame drew blank (likely protected content)';
+          } else {
+            return { canvas: ctx.canvas, path: 'video', failureReason: null, rect };
+          }
         }
-      } catch (videoError) {
-        // Video capture failed (possibly cross-origin), will fall back
-        console.debug('Video capture failed:', videoError.message);
+      } else {
+        failureReason = 'Cursor is not over the video';
       }
+    } else {
+      failureReason = 'No playable video found';
     }
 
     // If video capture didn't work, try to capture images under cursor
-    if (!capturedContent) {
-      const elements = document.elementsFromPoint(cursorX, cursorY);
-
-      for (const element of elements) {
-        if (element.tagName === 'IMG') {
-          try {
-            const rect = element.getBoundingClientRect();
-
-            // Check if image is in our region
-            if (rect.right > startX && rect.left < endX &&
-                rect.bottom > startY && rect.top < endY) {
-
-              const x = Math.max(0, rect.left - startX);
-              const y = Math.max(0, rect.top - startY);
-              const imgWidth = Math.min(rect.width, width - x);
-              const imgHeight = Math.min(rect.height, height - y);
-
-              ctx.drawImage(element, x, y, imgWidth, imgHeight);
-              capturedContent = true;
-              break;
-            }
-          } catch (imgError) {
-            // Image capture failed (possibly cross-origin), continue
-            console.debug('Image capture failed:', imgError.message);
-          }
+    for (const element of document.elementsFromPoint(cursorX, cursorY)) {
+      if (element.tagName !== 'IMG') {
+        continue;
+      }
+      const imgRect = element.getBoundingClientRect();
+
+      // Check if image is in our region
+      if (imgRect.right > startX && imgRect.left < endX &&
+          imgRect.bottom > startY && imgRect.top < endY) {
+
+        const x = Math.max(0, imgRect.left - startX);
+        const y = Math.max(0, imgRect.top - startY);
+        const imgWidth = Math.min(imgRect.width, width - x);
+        const imgHeight = Math.min(imgRect.height, height - y);
+
+        const ctx = createContext();
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(element, x, y, imgWidth, imgHeight);
+        if (isCanvasReadable(ctx)) {
+          return { canvas: ctx.canvas, path: 'image', failureReason, rect };
         }
+        failureReason += '; image under cursor is cross-origin';
+        break;
       }
     }
+  } catch (error) {
+    console.error('captureRegionAroundCursor error:', error);
+    failureReason = `Capture error: ${error.message}`;
+  }
 
-    // If still no content captured, fill with white as fallback
-    if (!capturedContent) {
-      ctx.fillStyle = 'white';
-      ctx.fillRect(0, 0, width, height);
-    }
+  return { canvas: null, path: null, failureReason, rect };
+}
+
+/**
+ * Capture a region around the cursor, falling back to a screenshot of the tab when the
+ * video can't be read directly (cross-origin or DRM-protected)
+ * @param {number} cursorX - X coordinate of cursor
+ * @param {number} cursorY - Y coordinate of cursor
+ * @param {number} regionWidth - Width of the region to capture (in pixels)
+ * @param {number} regionHeight - Height of the region to capture (in pixels)
+ * @returns {Promise<{canvas: HTMLCanvasElement|null, path: string|null, failureReason: string|null}>} -
+ *   The captured region, the capture path used and why the direct capture failed (if it did)
+ */
+async function captureRegion(cursorX, cursorY, regionWidth, regionHeight) {
+  const primary = captureRegionAroundCursor(cursorX, cursorY, regionWidth, regionHeight);
+  if (primary.canvas) {
+    return primary;
+  }
 
-    return canvas;
+  console.debug('Direct capture failed, using tab screenshot:', primary.failureReason);
+  try {
+    const canvas = await captureTabRegion(primary.rect, settings.captureScale);
+    return { canvas, path: 'tab screenshot', failureReason: primary.failureReason };
   } catch (error) {
-    console.error('captureRegionAroundCursor error:', error);
-    return null;
+    return { canvas: null, path: null, failureReason: `${primary.failureReason}; tab screenshot failed: ${error.message}` };
+  }
+}
+
+// Offset of this frame within the tab, set when the parent page forwards a hotkey;
+// tab screenshots are in the coordinates of the top-level page
+let frameOffset = { x: 0, y: 0 };
+
+/**
+ * Crop a region out of a screenshot of the visible tab, taken by the service worker
+ * Our own overlays are hidden while the screenshot is taken
+ * @param {{x: number, y: number, width: number, height: number}} rect - Region in viewport coordinates
+ * @param {number} scale - Output pixels per CSS pixel
+ * @returns {Promise<HTMLCanvasElement>} - Canvas with the cropped region
+ */
+async function captureTabRegion(rect, scale) {
+  overlays.setHidden(true);
+  // Wait for the page to repaint without the overlays
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  let response;
+  try {
+    response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'captureTabRegion',
+        rect: { ...rect, x: rect.x + frameOffset.x, y: rect.y + frameOffset.y },
+        devicePixelRatio: window.devicePixelRatio,
+        scale
+      }, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!result || !result.success) {
+          reject(new Error(result?.error || 'Screenshot failed'));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  } finally {
+    overlays.setHidden(false);
   }
+
+  const image = new Image();
+  image.src = response.imageData;
+  await image.decode();
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  return canvas;
 }
 
 /**
@@ -277,196 +751,864 @@ function captureRegionAroundCursor(cursorX, cursorY, regionWidth, regionHeight)
  * @param {string} customMessage - Custom message to display (optional)
  */
 function showLoadingSpinner(cardName, customMessage) {
-  // Remove any existing overlay first
-  dismissOverlay();
-
-  // Create backdrop
-  const backdrop = document.createElement('div');
-  backdrop.className = 'mtg-overlay-backdrop';
-  backdrop.id = 'mtg-backdrop';
+  // The popover display mode never blocks the player
+  overlays.showModal(createSpinner(customMessage || `Searching for: ${cardName}`), {
+    backdrop: settings.displayMode !== 'popover'
+  });
+}
 
-  // Create loading spinner container
-  const spinner = document.createElement('div');
-  spinner.className = 'mtg-loading-spinner';
-  spinner.id = 'mtg-loading-spinner';
+/**
+ * Show card overlay with image, or a compact popover when the user chose that display mode
+ * @param {Object} cardData - Card data from Scryfall
+ * @param {Array<{card: Object, score: number}>} candidates - Ranked matches to offer in a picker strip (optional)
+ * @param {{x: number, y: number}} anchor - Point the popover is anchored to (defaults to the cursor)
+ */
+function showCardOverlay(cardData, candidates = [], anchor = { x: currentCursorX, y: currentCursorY }) {
+  if (settings.displayMode === 'popover') {
+    overlays.dismiss();
+    showCardPopover(cardData, candidates, anchor);
+    return;
+  }
 
-  // Create spinner animation element
-  const spinnerElement = document.createElement('div');
-  spinnerElement.className = 'mtg-spinner';
+  const overlay = createDialog({ className: 'mtg-card-overlay', label: cardData.name });
+  if (cardData.offline) {
+    overlay.appendChild(createOfflineNotice());
+  }
 
-  // Create loading text
-  const loadingText = document.createElement('div');
-  loadingText.className = 'mtg-loading-text';
-  loadingText.id = 'mtg-loading-text';
-  loadingText.textContent = customMessage || `Searching for: ${cardName}`;
+  const cardContainer = createCardImages(cardData, 'mtg-card-image');
 
-  // Assemble and add to DOM
-  spinner.appendChild(spinnerElement);
-  spinner.appendChild(loadingText);
-  document.body.appendChild(backdrop);
-  document.body.appendChild(spinner);
+  // Show the image(s) with the card's text beside them
+  const cardBody = document.createElement('div');
+  cardBody.className = 'mtg-card-body';
+  cardBody.appendChild(cardContainer);
+  cardBody.appendChild(createCardDetails(cardData));
 
-  // Add dismiss handlers
-  addDismissHandlers();
+  overlay.appendChild(cardBody);
+  if (candidates.length > 1) {
+    overlay.appendChild(createCandidateStrip(cardData, candidates, anchor));
+  }
+  overlays.showModal(overlay);
 }
 
+// Rotation that makes each layout's sideways or upside-down faces readable
+const FACE_ROTATIONS = {
+  split: 'Rotate',
+  aftermath: 'Rotate',
+  flip: 'Turn upside down',
+  battle: 'Rotate'
+};
+
 /**
- * Show card overlay with image
- * @param {Object} cardData - Card data from Scryfall
+ * Create the card image(s) presented for the card's layout: a flip between faces for
+ * transform-style cards, a rotate button for split, flip and battle cards, and the
+ * partner and melded result alongside meld cards
+ * @param {Object} cardData - Card data from the backend
+ * @param {string} imageClassName - Class of each card image
+ * @returns {HTMLElement} - The images with their controls
  */
-function showCardOverlay(cardData) {
-  // Remove any existing overlay first
-  dismissOverlay();
+function createCardImages(cardData, imageClassName) {
+  // Results saved before the backend reported a presentation only know about back faces
+  const presentation = cardData.presentation || (cardData.backImageUrl ? 'transform' : 'single');
+  const faces = cardData.faces || [];
+
+  const container = document.createElement('div');
+  container.className = `mtg-card-container mtg-presentation-${presentation}`;
+
+  const createImage = (src, alt) => {
+    const image = document.createElement('img');
+    image.className = imageClassName;
+    image.src = src;
+    image.alt = alt;
+    return image;
+  };
+
+  const controls = document.createElement('div');
+  controls.className = 'mtg-card-controls';
+  const addControl = (label, onClick) => {
+    const button = document.createElement('button');
+    button.className = 'mtg-face-button';
+    button.textContent = label;
+    button.setAttribute('aria-pressed', 'false');
+    button.addEventListener('click', () => button.setAttribute('aria-pressed', String(onClick())));
+    controls.appendChild(button);
+  };
+
+  const front = createImage(cardData.imageUrl, faces[0] ? faces[0].name : cardData.name);
+  front.classList.add('mtg-card-front');
+
+  if (cardData.backImageUrl) {
+    // Both faces in one element that turns over
+    const flipper = document.createElement('div');
+    flipper.className = 'mtg-card-flipper';
+    const back = createImage(cardData.backImageUrl, faces[1] ? faces[1].name : `${cardData.name} (back)`);
+    back.classList.add('mtg-card-back');
+    flipper.appendChild(front);
+    flipper.appendChild(back);
+    container.appendChild(flipper);
+    addControl('Flip', () => flipper.classList.toggle('mtg-flipped'));
+  } else {
+    container.appendChild(front);
+  }
+
+  if (FACE_ROTATIONS[presentation]) {
+    addControl(FACE_ROTATIONS[presentation], () => container.classList.toggle('mtg-rotated'));
+  }
+
+  // Meld cards: the other half and what they meld into
+  if (presentation === 'meld') {
+    const meld = document.createElement('div');
+    meld.className = 'mtg-meld';
+    for (const part of (cardData.relatedCards || []).filter(related => related.component.startsWith('meld'))) {
+      const figure = document.createElement('figure');
+      const caption = document.createElement('figcaption');
+      caption.textContent = part.component === 'meld_result' ? `Melds into ${part.name}` : `With ${part.name}`;
+      const image = createImage(part.imageUrl, part.name);
+      image.classList.add('mtg-meld-image');
+      figure.appendChild(image);
+      figure.appendChild(caption);
+      meld.appendChild(figure);
+    }
+    container.appendChild(meld);
+  }
+
+  if (controls.children.length) {
+    container.appendChild(controls);
+  }
+  return container;
+}
 
-  // Create backdrop
-  const backdrop = document.createElement('div');
-  backdrop.className = 'mtg-overlay-backdrop';
-  backdrop.id = 'mtg-backdrop';
+// Gap between the anchor point and the popover, and between cascaded popovers
+const POPOVER_OFFSET = 16;
+let popoverZIndex = 10001;
 
-  // Create card overlay container
-  const overlay = document.createElement('div');
-  overlay.className = 'mtg-card-overlay';
-  overlay.id = 'mtg-card-overlay';
+/**
+ * Show a compact, non-modal card popover anchored near the capture point
+ * Unpinned popovers are replaced by the next lookup and close when the video resumes;
+ * pinned ones stay until closed, so several cards can be open at once
+ * @param {Object} cardData - Card data from the backend
+ * @param {Array<{card: Object, score: number}>} candidates - Ranked matches to offer in a picker strip
+ * @param {{x: number, y: number}} anchor - Point in the viewport to anchor the popover to
+ */
+function showCardPopover(cardData, candidates, anchor) {
+  dismissPopovers(false);
+
+  const popover = document.createElement('div');
+  popover.className = 'mtg-card-popover';
+  popover.setAttribute('role', 'dialog');
+  popover.setAttribute('aria-label', cardData.name);
+  popover.style.zIndex = popoverZIndex++;
+
+  // Header: drag handle with the card name, pin and close buttons
+  const header = document.createElement('div');
+  header.className = 'mtg-popover-header';
+
+  const title = document.createElement('span');
+  title.className = 'mtg-popover-title';
+  title.textContent = cardData.name;
+
+  const pinButton = document.createElement('button');
+  pinButton.className = 'mtg-popover-button';
+  pinButton.textContent = '📌';
+  pinButton.title = 'Pin (keep open)';
+  pinButton.setAttribute('aria-pressed', 'false');
+  pinButton.addEventListener('click', () => setPopoverPinned(popover, !popover.classList.contains('mtg-popover-pinned')));
 
-  // Create close button
   const closeButton = document.createElement('button');
-  closeButton.className = 'mtg-close-button';
+  closeButton.className = 'mtg-popover-button';
   closeButton.textContent = '×';
-  closeButton.setAttribute('aria-label', 'Close card overlay');
-  closeButton.addEventListener('click', dismissOverlay);
+  closeButton.setAttribute('aria-label', 'Close card popover');
+  closeButton.addEventListener('click', () => removePopover(popover));
+
+  header.appendChild(title);
+  header.appendChild(pinButton);
+  header.appendChild(closeButton);
+
+  const cardImages = createCardImages(cardData, 'mtg-popover-image');
+
+  // Details are built on demand to keep the popover compact
+  const detailsButton = document.createElement('button');
+  detailsButton.className = 'mtg-popover-details-button';
+  detailsButton.textContent = 'Details';
+  detailsButton.setAttribute('aria-expanded', 'false');
+  let details = null;
+  detailsButton.addEventListener('click', () => {
+    if (!details) {
+      details = createCardDetails(cardData);
+      popover.insertBefore(details, detailsButton.nextSibling);
+    } else {
+      details.hidden = !details.hidden;
+    }
+    detailsButton.setAttribute('aria-expanded', String(!details.hidden));
+  });
 
-  // Create container for card image(s)
-  const cardContainer = document.createElement('div');
-  cardContainer.className = 'mtg-card-container';
+  popover.appendChild(header);
+  if (cardData.offline) {
+    popover.appendChild(createOfflineNotice());
+  }
+  popover.appendChild(cardImages);
+  popover.appendChild(detailsButton);
+  if (candidates.length > 1) {
+    popover.appendChild(createCandidateStrip(cardData, candidates, anchor));
+  }
 
-  // Create front card image
-  const cardImage = document.createElement('img');
-  cardImage.className = 'mtg-card-image';
-  cardImage.src = cardData.imageUrl;
-  cardImage.alt = cardData.name;
-  cardContainer.appendChild(cardImage);
+  popover.addEventListener('pointerdown', () => {
+    popover.style.zIndex = popoverZIndex++;
+  });
+  makePopoverDraggable(popover, header);
 
-  // Add back face for double-faced cards (side by side like Arena)
-  if (cardData.backImageUrl) {
-    cardContainer.classList.add('mtg-double-faced');
-    const backImage = document.createElement('img');
-    backImage.className = 'mtg-card-image';
-    backImage.src = cardData.backImageUrl;
-    backImage.alt = cardData.name + ' (back)';
-    cardContainer.appendChild(backImage);
+  // Close when the video the card was looked up from starts playing again
+  const video = findVideo(anchor.x, anchor.y);
+  const onPlay = () => {
+    if (!popover.classList.contains('mtg-popover-pinned')) {
+      removePopover(popover);
+    }
+  };
+  if (video) {
+    video.addEventListener('play', onPlay);
   }
+  popover.cleanup = () => {
+    if (video) {
+      video.removeEventListener('play', onPlay);
+    }
+  };
 
-  // Assemble and add to DOM
-  overlay.appendChild(closeButton);
-  overlay.appendChild(cardContainer);
-  document.body.appendChild(backdrop);
-  document.body.appendChild(overlay);
+  overlays.add(popover);
+  positionPopover(popover, anchor);
+}
 
-  // Add dismiss handlers
-  addDismissHandlers();
+/**
+ * Place a popover beside the anchor, flipping to the left and clamping so it stays on screen,
+ * and cascading it if a pinned popover is already at that spot
+ * @param {HTMLElement} popover - The popover
+ * @param {{x: number, y: number}} anchor - Point in the viewport
+ */
+function positionPopover(popover, anchor) {
+  const { width, height } = popover.getBoundingClientRect();
+  let left = anchor.x + POPOVER_OFFSET;
+  if (left + width > window.innerWidth) {
+    left = anchor.x - POPOVER_OFFSET - width;
+  }
+  let top = anchor.y - POPOVER_OFFSET;
+
+  const others = overlays.findAll('.mtg-card-popover').filter(other => other !== popover);
+  while (others.some(other => Math.abs(other.offsetLeft - left) < 4 && Math.abs(other.offsetTop - top) < 4)) {
+    left += POPOVER_OFFSET;
+    top += POPOVER_OFFSET;
+  }
+
+  popover.style.left = `${Math.max(0, Math.min(left, window.innerWidth - width))}px`;
+  popover.style.top = `${Math.max(0, Math.min(top, window.innerHeight - height))}px`;
 }
 
 /**
- * Show fallback text input modal
- * @param {string} detectedText - Pre-filled text from OCR (if any)
- * @param {string} errorMessage - Error message to display (optional)
+ * Let the user drag a popover by its header; a dragged popover is pinned where it's dropped
+ * @param {HTMLElement} popover - The popover
+ * @param {HTMLElement} handle - Element that starts the drag
  */
-function showFallbackInput(detectedText, errorMessage = '') {
-  // Remove any existing overlay first
-  dismissOverlay();
-
-  // Create backdrop
-  const backdrop = document.createElement('div');
-  backdrop.className = 'mtg-overlay-backdrop';
-  backdrop.id = 'mtg-backdrop';
-
-  // Create modal container
-  const modal = document.createElement('div');
-  modal.className = 'mtg-text-input-modal';
-  modal.id = 'mtg-text-input-modal';
-
-  // Add error message if provided
-  if (errorMessage) {
-    const errorDiv = document.createElement('div');
-    errorDiv.style.color = '#ff6b6b';
-    errorDiv.style.fontSize = '12px';
-    errorDiv.style.marginBottom = '10px';
-    errorDiv.textContent = errorMessage;
-    modal.appendChild(errorDiv);
-  }
-
-  // Create label
-  const label = document.createElement('label');
-  label.textContent = 'Enter card name:';
-  label.style.color = 'white';
-  label.style.fontSize = '14px';
-
-  // Create input field
-  const input = document.createElement('input');
-  input.type = 'text';
-  input.placeholder = 'Card name...';
-  input.value = detectedText || '';
-  input.setAttribute('aria-label', 'Card name input');
-
-  // Create submit button
-  const submitButton = document.createElement('button');
-  submitButton.textContent = 'Search';
-  submitButton.addEventListener('click', () => {
-    const cardName = input.value.trim();
-    if (cardName) {
-      dismissOverlay();
-      handleCardLookupWithName(cardName);
+function makePopoverDraggable(popover, handle) {
+  handle.addEventListener('pointerdown', (event) => {
+    if (event.target.closest('button')) {
+      return;
     }
+    event.preventDefault();
+    const startX = event.clientX - popover.offsetLeft;
+    const startY = event.clientY - popover.offsetTop;
+    handle.setPointerCapture(event.pointerId);
+
+    let moved = false;
+
+    const onMove = (moveEvent) => {
+      moved = true;
+      popover.style.left = `${moveEvent.clientX - startX}px`;
+      popover.style.top = `${moveEvent.clientY - startY}px`;
+    };
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      if (moved) {
+        setPopoverPinned(popover, true);
+      }
+    };
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
   });
+}
 
-  // Allow Enter key to submit
-  input.addEventListener('keypress', (event) => {
-    if (event.key === 'Enter') {
-      submitButton.click();
+/**
+ * Pin or unpin a popover
+ * @param {HTMLElement} popover - The popover
+ * @param {boolean} pinned - Whether it should stay open
+ */
+function setPopoverPinned(popover, pinned) {
+  popover.classList.toggle('mtg-popover-pinned', pinned);
+  const pinButton = popover.querySelector('.mtg-popover-header .mtg-popover-button');
+  pinButton.setAttribute('aria-pressed', String(pinned));
+  pinButton.title = pinned ? 'Unpin' : 'Pin (keep open)';
+}
+
+/**
+ * Remove a popover and its listeners
+ * @param {HTMLElement} popover - The popover
+ */
+function removePopover(popover) {
+  popover.cleanup();
+  popover.remove();
+}
+
+/**
+ * Remove card popovers
+ * @param {boolean} includePinned - Also remove pinned popovers
+ */
+function dismissPopovers(includePinned) {
+  for (const popover of overlays.findAll('.mtg-card-popover')) {
+    if (includePinned || !popover.classList.contains('mtg-popover-pinned')) {
+      removePopover(popover);
+    }
+  }
+}
+
+// Formats shown in the legality list, in display order
+const LEGALITY_FORMATS = {
+  standard: 'Standard',
+  pioneer: 'Pioneer',
+  modern: 'Modern',
+  legacy: 'Legacy',
+  vintage: 'Vintage',
+  pauper: 'Pauper',
+  commander: 'Commander'
+};
+
+// Price currencies offered in the details panel (keys of the backend's card.prices)
+const PRICE_CURRENCIES = {
+  usd: { label: 'USD', format: value => `$${value}` },
+  usdFoil: { label: 'USD foil', format: value => `$${value}` },
+  eur: { label: 'EUR', format: value => `€${value}` },
+  tix: { label: 'MTGO tix', format: value => `${value} tix` }
+};
+
+const PURCHASE_SITES = {
+  tcgplayer: 'TCGplayer',
+  cardmarket: 'Cardmarket',
+  cardhoarder: 'Cardhoarder'
+};
+
+const LEGALITY_LABELS = {
+  legal: 'Legal',
+  not_legal: 'Not legal',
+  banned: 'Banned',
+  restricted: 'Restricted'
+};
+
+/**
+ * Render text containing mana/tap symbols like {2}{W}{T} as Scryfall symbol images
+ * @param {string} text - Text with symbols in braces
+ * @returns {DocumentFragment} - Text nodes and symbol images (with the symbol as alt text)
+ */
+function renderSymbols(text) {
+  const fragment = document.createDocumentFragment();
+  const parts = (text || '').split(/(\{[^}]+\})/);
+
+  for (const part of parts) {
+    if (/^\{[^}]+\}$/.test(part)) {
+      const symbol = document.createElement('img');
+      symbol.className = 'mtg-symbol';
+      symbol.src = `https://svgs.scryfall.io/card-symbols/${encodeURIComponent(part.slice(1, -1).replace(/\//g, ''))}.svg`;
+      symbol.alt = part;
+      symbol.title = part;
+      fragment.appendChild(symbol);
+    } else if (part) {
+      fragment.appendChild(document.createTextNode(part));
+    }
+  }
+
+  return fragment;
+}
+
+/**
+ * Create the details panel shown beside the card image: text of each face, set, legality and rulings
+ * @param {Object} cardData - Card data from the backend
+ * @returns {HTMLElement} - The details panel
+ */
+function createCardDetails(cardData) {
+  const details = document.createElement('div');
+  details.className = 'mtg-card-details';
+
+  const faces = cardData.faces && cardData.faces.length
+    ? cardData.faces
+    : [{ name: cardData.name, manaCost: cardData.manaCost, type: cardData.type, oracleText: cardData.oracleText }];
+
+  for (const face of faces) {
+    const section = document.createElement('section');
+    section.className = 'mtg-card-face';
+
+    const heading = document.createElement('h2');
+    heading.className = 'mtg-card-face-name';
+    heading.appendChild(document.createTextNode(face.name));
+    if (face.manaCost) {
+      const cost = document.createElement('span');
+      cost.className = 'mtg-mana-cost';
+      cost.appendChild(renderSymbols(face.manaCost));
+      heading.appendChild(cost);
     }
+    section.appendChild(heading);
+
+    if (face.type) {
+      const type = document.createElement('div');
+      type.className = 'mtg-card-type';
+      type.textContent = face.type;
+      section.appendChild(type);
+    }
+
+    for (const line of (face.oracleText || '').split('\n').filter(Boolean)) {
+      const paragraph = document.createElement('p');
+      paragraph.className = 'mtg-oracle-text';
+      paragraph.appendChild(renderSymbols(line));
+      section.appendChild(paragraph);
+    }
+
+    const stats = face.loyalty ? `Loyalty: ${face.loyalty}`
+      : face.defense ? `Defense: ${face.defense}`
+        : face.power ? `${face.power}/${face.toughness}` : '';
+    if (stats) {
+      const statsDiv = document.createElement('div');
+      statsDiv.className = 'mtg-card-stats';
+      statsDiv.textContent = stats;
+      section.appendChild(statsDiv);
+    }
+
+    details.appendChild(section);
+  }
+
+  // Set and rarity
+  const setInfo = document.createElement('div');
+  setInfo.className = 'mtg-card-set';
+  setInfo.textContent = `${cardData.setName} (${(cardData.set || '').toUpperCase()}) · ${cardData.rarity}`;
+  details.appendChild(setInfo);
+
+  // Price in the user's chosen currency, with links to buy
+  if (cardData.prices) {
+    details.appendChild(createPriceSection(cardData));
+  }
+
+  // Add to the collection exported from the popup
+  details.appendChild(createCollectionControl(cardData));
+
+  // Format legality
+  if (cardData.legalities) {
+    const legalityList = document.createElement('ul');
+    legalityList.className = 'mtg-legalities';
+    legalityList.setAttribute('aria-label', 'Format legality');
+    for (const [format, label] of Object.entries(LEGALITY_FORMATS)) {
+      const status = cardData.legalities[format] || 'not_legal';
+      const item = document.createElement('li');
+      item.className = `mtg-legality mtg-legality-${status}`;
+      item.textContent = `${label}: ${LEGALITY_LABELS[status] || status}`;
+      legalityList.appendChild(item);
+    }
+    details.appendChild(legalityList);
+  }
+
+  // Tokens it makes, combo pieces etc. (meld parts are shown with the image)
+  const related = (cardData.relatedCards || []).filter(part => !part.component.startsWith('meld'));
+  if (related.length) {
+    const relatedList = document.createElement('ul');
+    relatedList.className = 'mtg-related-cards';
+    relatedList.setAttribute('aria-label', 'Related cards');
+    for (const part of related) {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.className = 'mtg-related-card';
+      button.textContent = part.name;
+      button.title = part.type || part.name;
+      button.addEventListener('click', () => handleCardLookupWithName(part.name));
+      item.appendChild(button);
+      relatedList.appendChild(item);
+    }
+    details.appendChild(relatedList);
+  }
+
+  // Other printings are fetched only when asked for
+  if (cardData.printsSearchUri) {
+    const printingsButton = document.createElement('button');
+    printingsButton.className = 'mtg-rulings-button';
+    printingsButton.textContent = 'Show all printings';
+    printingsButton.addEventListener('click', () => {
+      printingsButton.disabled = true;
+      printingsButton.textContent = 'Loading printings...';
+      loadPrintings(cardData, printingsButton);
+    });
+    details.appendChild(printingsButton);
+  }
+
+  // Rulings are fetched only when asked for
+  if (cardData.id) {
+    const rulingsButton = document.createElement('button');
+    rulingsButton.className = 'mtg-rulings-button';
+    rulingsButton.textContent = 'Show rulings';
+    rulingsButton.addEventListener('click', () => {
+      rulingsButton.disabled = true;
+      rulingsButton.textContent = 'Loading rulings...';
+      loadRulings(cardData.id, details, rulingsButton);
+    });
+    details.appendChild(rulingsButton);
+  }
+
+  return details;
+}
+
+/**
+ * Create the price line with a currency selector (remembered in chrome.storage.sync) and purchase links
+ * @param {Object} cardData - Card data from the backend, with prices and purchaseUris
+ * @returns {HTMLElement} - The price section
+ */
+function createPriceSection(cardData) {
+  const section = document.createElement('div');
+  section.className = 'mtg-card-prices';
+
+  const price = document.createElement('span');
+  price.className = 'mtg-price';
+  price.setAttribute('aria-live', 'polite');
+
+  const currencySelect = document.createElement('select');
+  currencySelect.className = 'mtg-currency-select';
+  currencySelect.setAttribute('aria-label', 'Price currency');
+  for (const [currency, { label }] of Object.entries(PRICE_CURRENCIES)) {
+    const option = document.createElement('option');
+    option.value = currency;
+    option.textContent = label;
+    currencySelect.appendChild(option);
+  }
+
+  const showPrice = (currency) => {
+    const value = cardData.prices[currency];
+    price.textContent = value ? PRICE_CURRENCIES[currency].format(value) : 'No price';
+  };
+
+  currencySelect.addEventListener('change', () => {
+    showPrice(currencySelect.value);
+    chrome.storage.sync.set({ priceCurrency: currencySelect.value });
   });
 
-  // Assemble and add to DOM
-  modal.appendChild(label);
-  modal.appendChild(input);
-  modal.appendChild(submitButton);
-  document.body.appendChild(backdrop);
-  document.body.appendChild(modal);
+  currencySelect.value = 'usd';
+  showPrice('usd');
+  chrome.storage.sync.get({ priceCurrency: 'usd' }, ({ priceCurrency }) => {
+    if (PRICE_CURRENCIES[priceCurrency]) {
+      currencySelect.value = priceCurrency;
+      showPrice(priceCurrency);
+    }
+  });
 
-  // Focus input for immediate typing
-  input.focus();
+  section.appendChild(price);
+  section.appendChild(currencySelect);
+
+  // Purchase links
+  const links = document.createElement('div');
+  links.className = 'mtg-purchase-links';
+  for (const [site, label] of Object.entries(PURCHASE_SITES)) {
+    const url = cardData.purchaseUris && cardData.purchaseUris[site];
+    if (!url) continue;
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = label;
+    links.appendChild(link);
+  }
+  if (links.childElementCount) {
+    section.appendChild(links);
+  }
 
-  // Add dismiss handlers
-  addDismissHandlers();
+  return section;
 }
 
 /**
- * Dismiss any active overlay
+ * Create the quantity input and button that add this printing to the collection
+ * @param {Object} cardData - Card data from the backend
+ * @returns {HTMLElement} - The collection control
  */
-function dismissOverlay() {
-  const backdrop = document.getElementById('mtg-backdrop');
-  const spinner = document.getElementById('mtg-loading-spinner');
-  const overlay = document.getElementById('mtg-card-overlay');
-  const modal = document.getElementById('mtg-text-input-modal');
-  const debugOverlay = document.getElementById('mtg-debug-overlay');
+function createCollectionControl(cardData) {
+  const control = document.createElement('div');
+  control.className = 'mtg-collection-control';
+
+  const quantity = document.createElement('input');
+  quantity.type = 'number';
+  quantity.min = '1';
+  quantity.value = '1';
+  quantity.className = 'mtg-collection-quantity';
+  quantity.setAttribute('aria-label', 'Quantity');
+
+  const addButton = document.createElement('button');
+  addButton.className = 'mtg-collection-add';
+  addButton.textContent = 'Add to collection';
+  addButton.addEventListener('click', () => {
+    const count = Math.max(1, parseInt(quantity.value, 10) || 1);
+    addToCollection(cardData, count, (total) => {
+      addButton.textContent = `In collection: ${total}`;
+    });
+  });
+
+  control.appendChild(quantity);
+  control.appendChild(addButton);
+  return control;
+}
 
-  if (backdrop) backdrop.remove();
-  if (spinner) spinner.remove();
-  if (overlay) overlay.remove();
-  if (modal) modal.remove();
-  if (debugOverlay) debugOverlay.remove();
+/**
+ * Add copies of a printing to the collection in chrome.storage.local
+ * @param {Object} card - Card data from the backend
+ * @param {number} count - Number of copies to add
+ * @param {Function} callback - Called with the new quantity of this printing
+ */
+function addToCollection(card, count, callback) {
+  const key = `${card.set}:${card.collectorNumber}:${card.name}`;
+  chrome.storage.local.get({ collection: {} }, ({ collection }) => {
+    const existing = collection[key];
+    collection[key] = {
+      name: card.name,
+      layout: card.layout,
+      set: card.set,
+      setName: card.setName,
+      collectorNumber: card.collectorNumber,
+      mtgoId: card.mtgoId,
+      quantity: (existing ? existing.quantity : 0) + count
+    };
+    chrome.storage.local.set({ collection }, () => callback(collection[key].quantity));
+  });
 }
 
 /**
- * Add event listeners for dismissing overlays
+ * Fetch a card's rulings and replace the rulings button with the list
+ * @param {string} cardId - Scryfall card ID
+ * @param {HTMLElement} details - The details panel to add the rulings to
+ * @param {HTMLButtonElement} rulingsButton - The button that requested them
  */
-function addDismissHandlers() {
-  // Backdrop click to dismiss
-  const backdrop = document.getElementById('mtg-backdrop');
-  if (backdrop) {
-    backdrop.addEventListener('click', dismissOverlay);
+function loadRulings(cardId, details, rulingsButton) {
+  chrome.runtime.sendMessage(
+    { action: 'getRulings', cardId: cardId },
+    (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        rulingsButton.disabled = false;
+        rulingsButton.textContent = 'Unable to load rulings. Try again';
+        return;
+      }
+
+      const rulings = document.createElement('ul');
+      rulings.className = 'mtg-rulings';
+      rulings.setAttribute('aria-label', 'Rulings');
+
+      if (!response.rulings.length) {
+        const item = document.createElement('li');
+        item.textContent = 'No rulings for this card.';
+        rulings.appendChild(item);
+      }
+
+      for (const ruling of response.rulings) {
+        const item = document.createElement('li');
+        const date = document.createElement('span');
+        date.className = 'mtg-ruling-date';
+        date.textContent = ruling.date;
+        item.appendChild(date);
+        item.appendChild(renderSymbols(ruling.text));
+        rulings.appendChild(item);
+      }
+
+      rulingsButton.replaceWith(rulings);
+    }
+  );
+}
+
+// Scryfall frame versions and effects, as shown in the printings carousel
+const FRAME_LABELS = {
+  1993: 'Original frame',
+  1997: 'Classic frame',
+  2003: 'Modern frame',
+  2015: 'M15 frame',
+  future: 'Future frame'
+};
+
+const FRAME_EFFECT_LABELS = {
+  showcase: 'Showcase',
+  extendedart: 'Extended art',
+  etched: 'Etched',
+  inverted: 'Inverted',
+  colorshifted: 'Colorshifted'
+};
+
+/**
+ * Describe a printing's frame treatment
+ * @param {Object} printing - Printing from the backend or Scryfall
+ * @returns {string} - e.g. 'M15 frame · Borderless · Showcase'
+ */
+function describeFrame(printing) {
+  const parts = [FRAME_LABELS[printing.frame] || printing.frame];
+  if (printing.borderColor === 'borderless') parts.push('Borderless');
+  if (printing.fullArt) parts.push('Full art');
+  for (const effect of printing.frameEffects || []) {
+    if (FRAME_EFFECT_LABELS[effect]) parts.push(FRAME_EFFECT_LABELS[effect]);
+  }
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Fetch every printing of a card and replace the button with a carousel of them
+ * @param {Object} cardData - The card shown in the overlay
+ * @param {HTMLButtonElement} printingsButton - Button that requested the printings
+ */
+function loadPrintings(cardData, printingsButton) {
+  chrome.runtime.sendMessage(
+    { action: 'getPrintings', printsSearchUri: cardData.printsSearchUri },
+    (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        printingsButton.disabled = false;
+        printingsButton.textContent = 'Unable to load printings. Try again';
+        return;
+      }
+      printingsButton.replaceWith(createPrintingCarousel(cardData, response.printings));
+    }
+  );
+}
+
+/**
+ * The card as it looks in another printing: same text, that printing's images, set and prices
+ * @param {Object} cardData - The card shown in the overlay
+ * @param {Object} printing - Printing from the carousel
+ * @returns {Object} - Card data for the printing
+ */
+function withPrinting(cardData, printing) {
+  const { faceImageUrls, ...fields } = printing;
+  const faces = (cardData.faces || []).map((face, index) => ({
+    ...face,
+    imageUrl: faceImageUrls[index] || printing.imageUrl
+  }));
+  return { ...cardData, ...fields, faces };
+}
+
+/**
+ * Create a scrollable carousel of a card's printings; picking one shows that printing
+ * @param {Object} cardData - The card shown in the overlay
+ * @param {Array<Object>} printings - Every printing, newest first
+ * @returns {HTMLElement} - The carousel
+ */
+function createPrintingCarousel(cardData, printings) {
+  const carousel = document.createElement('div');
+  carousel.className = 'mtg-printings';
+  carousel.setAttribute('role', 'group');
+  carousel.setAttribute('aria-label', `Printings of ${cardData.name}`);
+
+  const list = document.createElement('ul');
+  list.className = 'mtg-printing-list';
+
+  const scrollButton = (label, text, direction) => {
+    const button = document.createElement('button');
+    button.className = 'mtg-printing-scroll';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', () => list.scrollBy({ left: direction * list.clientWidth, behavior: 'smooth' }));
+    return button;
+  };
+
+  let current = null;
+  for (const printing of printings) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'mtg-printing';
+    button.addEventListener('click', () => showCardOverlay(withPrinting(cardData, printing)));
+    if (printing.id === cardData.id) {
+      button.setAttribute('aria-current', 'true');
+      current = item;
+    }
+
+    const image = document.createElement('img');
+    image.src = printing.thumbnailUrl || printing.imageUrl;
+    image.alt = '';
+    image.loading = 'lazy';
+
+    const setName = document.createElement('span');
+    setName.className = 'mtg-printing-set';
+    setName.textContent = printing.setName;
+
+    const meta = document.createElement('span');
+    meta.className = 'mtg-printing-meta';
+    meta.textContent = `${(printing.set || '').toUpperCase()} #${printing.collectorNumber} · ${describeFrame(printing)}`;
+
+    button.appendChild(image);
+    button.appendChild(setName);
+    button.appendChild(meta);
+    item.appendChild(button);
+    list.appendChild(item);
+  }
+
+  carousel.appendChild(scrollButton('Previous printings', '‹', -1));
+  carousel.appendChild(list);
+  carousel.appendChild(scrollButton('Next printings', '›', 1));
+
+  // Start with the printing being shown in view
+  if (current) {
+    requestAnimationFrame(() => current.scrollIntoView({ block: 'nearest', inline: 'center' }));
+  }
+  return carousel;
+}
+
+/**
+ * Create the strip of candidate thumbnails shown under the card when OCR was ambiguous
+ * @param {Object} selectedCard - The card currently shown in the overlay
+ * @param {Array<{card: Object, score: number}>} candidates - Ranked matches from the backend
+ * @param {{x: number, y: number}} anchor - Where the popover for a picked card is anchored (optional)
+ * @returns {HTMLElement} - The picker strip
+ */
+function createCandidateStrip(selectedCard, candidates, anchor) {
+  const strip = document.createElement('div');
+  strip.className = 'mtg-candidate-strip';
+  strip.setAttribute('aria-label', 'Other possible matches');
+
+  for (const candidate of candidates) {
+    const button = document.createElement('button');
+    button.className = 'mtg-candidate';
+    if (candidate.card.name === selectedCard.name) {
+      button.classList.add('mtg-candidate-selected');
+    }
+    button.title = `${candidate.card.name} (${Math.round(candidate.score * 100)}% match)`;
+    button.addEventListener('click', () => showCardOverlay(candidate.card, candidates, anchor));
+
+    const thumbnail = document.createElement('img');
+    thumbnail.src = candidate.card.thumbnailUrl || candidate.card.imageUrl;
+    thumbnail.alt = candidate.card.name;
+
+    const score = document.createElement('span');
+    score.className = 'mtg-candidate-score';
+    score.textContent = `${Math.round(candidate.score * 100)}%`;
+
+    button.appendChild(thumbnail);
+    button.appendChild(score);
+    strip.appendChild(button);
   }
-  // Note: Escape key handling is already in the main keydown listener above
+
+  return strip;
+}
+
+/**
+ * Show fallback text input modal
+ * @param {string} detectedText - Pre-filled text from OCR (if any)
+ * @param {string} errorMessage - Error message to display (optional)
+ */
+function showFallbackInput(detectedText, errorMessage = '') {
+  overlays.showModal(createFallbackForm(detectedText, errorMessage, handleCardLookupWithName, fetchCardSuggestions));
+}
+
+/**
+ * Get card name suggestions for the fallback input from the backend
+ * @param {string} query - Partially typed or detected card name
+ * @returns {Promise<string[]>} - Suggested card names
+ */
+function fetchCardSuggestions(query) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'autocomplete', query }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        reject(new Error(chrome.runtime.lastError?.message || response?.error || 'Autocomplete failed'));
+      } else {
+        resolve(response.suggestions);
+      }
+    });
+  });
 }
 
 /**
@@ -477,98 +1619,51 @@ function addDismissHandlers() {
  * @param {string} errorMessage - Optional error message to display
  * @param {string} detectedText - Optional text detected by OCR
  * @param {string} ocrMethod - The OCR method used (e.g., 'Gemini Vision API' or 'TextDetector (Native)')
+ * @param {Array<{card: Object, score: number}>} candidates - Ranked matches returned by the backend (optional)
+ * @param {{path: string|null, failureReason: string|null}} capture - How the region was captured (optional)
  */
-function showDebugOverlay(canvas, cursorX, cursorY, errorMessage = '', detectedText = null, ocrMethod = 'Gemini Vision API') {
-  // Remove any existing overlay first
-  dismissOverlay();
-
-  // Create backdrop
-  const backdrop = document.createElement('div');
-  backdrop.className = 'mtg-overlay-backdrop';
-  backdrop.id = 'mtg-backdrop';
-
-  // Create debug overlay container
-  const overlay = document.createElement('div');
-  overlay.className = 'mtg-debug-overlay';
-  overlay.id = 'mtg-debug-overlay';
-
-  // Create close button
-  const closeButton = document.createElement('button');
-  closeButton.className = 'mtg-debug-close-button';
-  closeButton.textContent = '×';
-  closeButton.setAttribute('aria-label', 'Close debug overlay');
-  closeButton.addEventListener('click', dismissOverlay);
-
-  // Create title
-  const title = document.createElement('div');
-  title.className = 'mtg-debug-title';
-  title.textContent = 'Debug Mode - OCR Detection';
-
-  // Create OCR text display if available
-  let ocrContainer = null;
-  if (detectedText) {
-    ocrContainer = document.createElement('div');
-    ocrContainer.className = 'mtg-debug-ocr-container';
-    ocrContainer.style.marginBottom = '15px';
-    ocrContainer.style.padding = '10px';
-    ocrContainer.style.backgroundColor = '#1a1a1a';
-    ocrContainer.style.borderRadius = '4px';
-    ocrContainer.style.borderLeft = '3px solid #00ff00';
-
-    const ocrLabel = document.createElement('div');
-    ocrLabel.style.fontSize = '12px';
-    ocrLabel.style.color = '#888';
-    ocrLabel.style.marginBottom = '5px';
-    ocrLabel.textContent = `${ocrMethod} Text:`;
-
-    const ocrTextElem = document.createElement('div');
-    ocrTextElem.style.fontSize = '14px';
-    ocrTextElem.style.color = '#00ff00';
-    ocrTextElem.style.fontFamily = 'monospace';
-    ocrTextElem.textContent = detectedText;
-
-    ocrContainer.appendChild(ocrLabel);
-    ocrContainer.appendChild(ocrTextElem);
-  }
-
-  // Create canvas container
-  const canvasContainer = document.createElement('div');
-  canvasContainer.className = 'mtg-debug-canvas-container';
-
-  if (canvas) {
-    // Convert canvas to image and display
-    const img = document.createElement('img');
-    img.className = 'mtg-debug-canvas-image';
-    img.src = canvas.toDataURL();
-    img.alt = 'Captured region for OCR';
-    canvasContainer.appendChild(img);
-  } else {
-    const noCanvasMsg = document.createElement('div');
-    noCanvasMsg.className = 'mtg-debug-no-canvas';
-    noCanvasMsg.textContent = 'No canvas captured';
-    canvasContainer.appendChild(noCanvasMsg);
-  }
+function showDebugOverlay(canvas, cursorX, cursorY, errorMessage = '', detectedText = null, ocrMethod = 'Gemini Vision API', candidates = [], capture = null) {
+  overlays.showModal(createDebugPanel({ canvas, errorMessage, detectedText, ocrMethod, candidates, capture }));
+}
 
-  // Add error message if provided
-  if (errorMessage) {
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'mtg-debug-error';
-    errorDiv.textContent = errorMessage;
-    overlay.appendChild(errorDiv);
-  }
+/**
+ * Open the Scryfall search panel; clicking a result opens the card, with a way back to the results
+ * @param {string} query - Query to run right away (optional)
+ */
+function showSearchPanel(query = '') {
+  const panel = createSearchPanel(query, fetchSearchResults, (card, anchor) => {
+    // Popovers open on top of the panel, so there's nothing to go back to
+    if (settings.displayMode === 'popover') {
+      showCardPopover(card, [], anchor);
+      return;
+    }
+    showCardOverlay(card);
 
-  // Assemble and add to DOM
-  overlay.appendChild(closeButton);
-  overlay.appendChild(title);
-  if (ocrContainer) {
-    overlay.appendChild(ocrContainer);
-  }
-  overlay.appendChild(canvasContainer);
-  document.body.appendChild(backdrop);
-  document.body.appendChild(overlay);
+    const backButton = document.createElement('button');
+    backButton.className = 'mtg-back-button';
+    backButton.textContent = '← Back to results';
+    backButton.addEventListener('click', () => overlays.showModal(panel));
+    overlays.find('.mtg-card-overlay').prepend(backButton);
+  });
+  overlays.showModal(panel);
+}
 
-  // Add dismiss handlers
-  addDismissHandlers();
+/**
+ * Run a Scryfall search through the backend
+ * @param {string} query - Scryfall search syntax, e.g. 't:creature c:g set:mh3'
+ * @param {number} page - Page of results, from 1
+ * @returns {Promise<{cards: Object[], totalCards: number, hasMore: boolean}>} - The page of results
+ */
+function fetchSearchResults(query, page) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'searchCards', query, page }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        reject(new Error(describeAccessError(response) || chrome.runtime.lastError?.message || response?.error || 'Search failed'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
 }
 
 /**
@@ -588,8 +1683,13 @@ function handleCardLookupWithName(cardName) {
       }
 
       if (response && response.success && response.found && response.card) {
-        dismissOverlay();
+        overlays.dismiss();
         showCardOverlay(response.card);
+        recordLookupHistory(response.card);
+      } else if (response && response.offline) {
+        showFallbackInput(cardName, `You're offline and "${cardName}" hasn't been looked up before.`);
+      } else if (response && !response.success) {
+        showLookupError(response, cardName, `Unable to look up "${cardName}". Please try again.`);
       } else {
         showFallbackInput(cardName, `Card not found: "${cardName}"`);
       }
@@ -597,3 +1697,42 @@ function handleCardLookupWithName(cardName) {
   );
 }
 
+// Maximum number of lookups kept in chrome.storage.local
+const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Store a successful lookup in the persistent history shown in the popup
+ * @param {Object} card - Card data from the backend
+ */
+function recordLookupHistory(card) {
+  // Offline results were recorded when first looked up (and carry their images inline)
+  if (card.offline) {
+    return;
+  }
+
+  const video = findVideo(currentCursorX, currentCursorY);
+  const adapter = getSiteAdapter();
+  const url = new URL(location.href);
+  const videoTime = video ? Math.floor(video.currentTime) : null;
+  const entry = {
+    card: {
+      id: card.id,
+      name: card.name,
+      imageUrl: card.imageUrl,
+      thumbnailUrl: card.thumbnailUrl,
+      setName: card.setName
+    },
+    timestamp: Date.now(),
+    site: adapter.name,
+    videoId: adapter.getVideoId(url),
+    videoTime,
+    jumpUrl: videoTime != null ? adapter.getTimestampUrl(url, videoTime) : null,
+    pageUrl: location.href,
+    pageTitle: document.title
+  };
+
+  chrome.storage.local.get({ lookupHistory: [] }, ({ lookupHistory }) => {
+    const history = [entry, ...lookupHistory].slice(0, MAX_HISTORY_ENTRIES);
+    chrome.storage.local.set({ lookupHistory: history });
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * Decklist export formats for MTG Card Lookup extension
+ * Each exporter turns collection entries ({name, layout, set, collectorNumber, mtgoId, quantity})
+ * into the text of a file other tools can import
+ */
+
+// Layouts whose full "A // B" name is the card's name; for other multi-face layouts
+// (transform, modal_dfc, adventure, flip, ...) deck tools expect the front face name
+const SPLIT_LAYOUTS = ['split', 'aftermath'];
+
+/**
+ * Name of the card as deck tools expect it
+ * @param {Object} entry - Collection entry
+ * @param {string} splitSeparator - Separator between split card halves
+ * @returns {string} - Card name
+ */
+function getDeckName(entry, splitSeparator = ' // ') {
+  const faces = entry.name.split(' // ');
+  if (faces.length === 1) {
+    return entry.name;
+  }
+  return SPLIT_LAYOUTS.includes(entry.layout) ? faces.join(splitSeparator) : faces[0];
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or newline
+ * @param {*} value - Field value
+ * @returns {string} - CSV-safe field
+ */
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape a value for use in an XML attribute
+ * @param {*} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function xmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+const DECKLIST_FORMATS = {
+  arena: {
+    label: 'MTG Arena',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    // 1 Lightning Bolt (CLU) 141
+    export: entries => entries.map(entry => {
+      const printing = entry.set && entry.collectorNumber
+        ? ` (${entry.set.toUpperCase()}) ${entry.collectorNumber}`
+        : '';
+      return `${entry.quantity} ${getDeckName(entry)}${printing}`;
+    }).join('\n')
+  },
+  mtgo: {
+    label: 'MTGO (.dek)',
+    extension: 'dek',
+    mimeType: 'application/xml',
+    export: entries => [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+      '  <NetDeckID>0</NetDeckID>',
+      '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+      ...entries.map(entry =>
+        `  <Cards CatID="${xmlAttribute(entry.mtgoId || 0)}" Quantity="${xmlAttribute(entry.quantity)}" ` +
+        `Sideboard="false" Name="${xmlAttribute(getDeckName(entry, '/'))}" />`),
+      '</Deck>'
+    ].join('\n')
+  },
+  plain: {
+    label: 'Plain text (Moxfield)',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    export: entries => entries.map(entry => `${entry.quantity} ${getDeckName(entry)}`).join('\n')
+  },
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    export: entries => [
+      'Quantity,Name,Set,Collector Number',
+      ...entries.map(entry => [entry.quantity, entry.name, entry.set, entry.collectorNumber].map(csvField).join(','))
+    ].join('\n')
+  }
+};
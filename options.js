@@ -0,0 +1,192 @@
+/**
+ * Options page script for MTG Card Lookup extension
+ * Edits the hotkeys, capture region, display mode, passive scan and backend settings stored in chrome.storage.sync
+ */
+
+const hotkeyContainer = document.getElementById('hotkeys');
+const resetButton = document.getElementById('reset');
+const statusText = document.getElementById('status');
+const apiEndpointInput = document.getElementById('apiEndpoint');
+const connectionStatus = document.getElementById('connectionStatus');
+
+let currentSettings = DEFAULT_SETTINGS;
+
+/**
+ * Save one setting and report the result
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ */
+function saveSetting(name, value) {
+  chrome.storage.sync.set({ [name]: value }, () => {
+    statusText.textContent = chrome.runtime.lastError
+      ? `Unable to save: ${chrome.runtime.lastError.message}`
+      : 'Saved.';
+  });
+}
+
+/**
+ * Fill the form from the given settings
+ * @param {Object} settings - Complete settings
+ */
+function render(settings) {
+  currentSettings = settings;
+  hotkeyContainer.replaceChildren();
+
+  for (const [name, label] of Object.entries(HOTKEY_SETTINGS)) {
+    const row = document.createElement('label');
+    row.className = 'setting';
+    row.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.value = formatHotkey(settings[name]);
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Tab') {
+        return;
+      }
+      event.preventDefault();
+      const hotkey = hotkeyFromEvent(event);
+      if (!hotkey || event.code === 'Escape') {
+        return;
+      }
+      const conflict = Object.keys(HOTKEY_SETTINGS).find(other => other !== name && currentSettings[other] === hotkey);
+      if (conflict) {
+        statusText.textContent = `${formatHotkey(hotkey)} is already used for "${HOTKEY_SETTINGS[conflict]}".`;
+        return;
+      }
+      input.value = formatHotkey(hotkey);
+      currentSettings = { ...currentSettings, [name]: hotkey };
+      saveSetting(name, hotkey);
+    });
+
+    row.appendChild(input);
+    hotkeyContainer.appendChild(row);
+  }
+
+  for (const [name, { min, max }] of Object.entries(SETTING_LIMITS)) {
+    const input = document.getElementById(name);
+    input.min = min;
+    input.max = max;
+    input.value = settings[name];
+    input.onchange = () => {
+      const value = normalizeSettings({ [name]: input.value })[name];
+      input.value = value;
+      saveSetting(name, value);
+    };
+  }
+
+  const displayMode = document.getElementById('displayMode');
+  displayMode.replaceChildren();
+  for (const [mode, label] of Object.entries(DISPLAY_MODES)) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    displayMode.appendChild(option);
+  }
+  displayMode.value = settings.displayMode;
+  displayMode.onchange = () => saveSetting('displayMode', displayMode.value);
+
+  const identifyPrinting = document.getElementById('identifyPrinting');
+  identifyPrinting.checked = settings.identifyPrinting;
+  identifyPrinting.onchange = () => saveSetting('identifyPrinting', identifyPrinting.checked);
+
+  const passiveScan = document.getElementById('passiveScan');
+  passiveScan.checked = settings.passiveScan;
+  passiveScan.onchange = () => saveSetting('passiveScan', passiveScan.checked);
+
+  apiEndpointInput.value = settings.apiEndpoint;
+}
+
+// Screenshot capture is a permission rather than a setting: the box shows whether it's granted
+const screenshotCapture = document.getElementById('screenshotCapture');
+const SCREENSHOT_PERMISSION = { origins: ['<all_urls>'] };
+
+chrome.permissions.contains(SCREENSHOT_PERMISSION, (granted) => {
+  screenshotCapture.checked = Boolean(granted);
+});
+
+screenshotCapture.addEventListener('change', () => {
+  const onChanged = (changed) => {
+    if (chrome.runtime.lastError || !changed) {
+      screenshotCapture.checked = !screenshotCapture.checked;
+      statusText.textContent = screenshotCapture.checked
+        ? 'Unable to turn off screenshot capture.'
+        : 'Access to all sites was not granted.';
+      return;
+    }
+    statusText.textContent = 'Saved.';
+  };
+  // Requesting needs the user gesture of this change event
+  if (screenshotCapture.checked) {
+    chrome.permissions.request(SCREENSHOT_PERMISSION, onChanged);
+  } else {
+    chrome.permissions.remove(SCREENSHOT_PERMISSION, onChanged);
+  }
+});
+
+/**
+ * Ask for access to a self-hosted backend's origin; must be called from a click
+ * @param {string} apiEndpoint - Base URL, or '' for the hosted backend
+ * @returns {Promise<boolean>} - Whether access was granted
+ */
+function requestEndpointPermission(apiEndpoint) {
+  if (!apiEndpoint) {
+    return Promise.resolve(true);
+  }
+  // Match patterns without a port cover every port (the local dev server)
+  const { protocol, hostname } = new URL(apiEndpoint);
+  return new Promise((resolve) => {
+    chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] }, granted => resolve(Boolean(granted)));
+  });
+}
+
+/**
+ * Check the entered endpoint is a reachable, compatible backend, then optionally save it
+ * @param {boolean} save - Save the endpoint when the check passes
+ */
+async function checkEndpoint(save) {
+  const apiEndpoint = parseApiEndpoint(apiEndpointInput.value);
+  if (apiEndpoint === null) {
+    connectionStatus.textContent = 'Enter an https:// URL (http:// is only allowed for localhost).';
+    return;
+  }
+  if (!(await requestEndpointPermission(apiEndpoint))) {
+    connectionStatus.textContent = `Access to ${new URL(apiEndpoint).origin} was not granted.`;
+    return;
+  }
+
+  connectionStatus.textContent = 'Testing connection...';
+  const response = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'testConnection', apiEndpoint }, (result) => {
+      resolve(chrome.runtime.lastError ? { success: false, error: chrome.runtime.lastError.message } : result);
+    });
+  });
+  if (!response || !response.success) {
+    connectionStatus.textContent = `Unable to connect: ${response?.error || 'Unknown error'}`;
+    return;
+  }
+  if (!response.compatible) {
+    connectionStatus.textContent = `Incompatible backend: it speaks API version ${response.apiVersion}, ` +
+      `this extension needs version ${response.expectedApiVersion}. Update the backend or the extension.`;
+    return;
+  }
+
+  connectionStatus.textContent = `Connected to backend version ${response.version}.`;
+  if (save) {
+    apiEndpointInput.value = apiEndpoint;
+    saveSetting('apiEndpoint', apiEndpoint);
+  }
+}
+
+document.getElementById('testConnection').addEventListener('click', () => checkEndpoint(false));
+document.getElementById('saveEndpoint').addEventListener('click', () => checkEndpoint(true));
+
+resetButton.addEventListener('click', () => {
+  chrome.storage.sync.set(DEFAULT_SETTINGS, () => {
+    render(DEFAULT_SETTINGS);
+    statusText.textContent = 'Defaults restored.';
+  });
+});
+
+loadSettings(render);
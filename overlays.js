@@ -0,0 +1,636 @@
+/**
+ * Overlay manager and UI components for MTG Card Lookup extension
+ * Everything the extension shows on a page is rendered in a single closed shadow root styled by
+ * overlay.css, so the page's CSS can't restyle the overlays and ours can't leak into the page
+ */
+
+// Fullscreen elements that can't render children, so overlays can't be mounted in them
+const REPLACED_ELEMENTS = ['VIDEO', 'IFRAME', 'CANVAS', 'IMG'];
+
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Get the element overlays are mounted in: the fullscreen element when the player is
+ * fullscreen (anything outside it isn't rendered), otherwise the body
+ * @returns {HTMLElement} - Container for overlays
+ */
+function getOverlayContainer() {
+  const fullscreen = document.fullscreenElement;
+  return fullscreen && !REPLACED_ELEMENTS.includes(fullscreen.tagName) ? fullscreen : document.body;
+}
+
+/**
+ * Owns the shadow root and the one modal overlay (spinner, card, fallback input or debug panel)
+ * that can be open at a time; non-modal elements (popovers, highlights, scan rail) are added alongside
+ */
+class OverlayManager {
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.modal = null;
+    this.previousFocus = null;
+  }
+
+  /**
+   * Create the shadow root on first use and (re)attach it where it will be visible
+   * A bare <video> in fullscreen can't show anything on top of it, so fullscreen is exited first
+   * @returns {ShadowRoot} - The shadow root
+   */
+  mount() {
+    if (!this.host) {
+      this.host = document.createElement('div');
+      this.host.id = 'mtg-card-lookup-root';
+      this.root = this.host.attachShadow({ mode: 'closed' });
+
+      const stylesheet = document.createElement('link');
+      stylesheet.rel = 'stylesheet';
+      stylesheet.href = chrome.runtime.getURL('overlay.css');
+      this.root.appendChild(stylesheet);
+
+      this.root.addEventListener('keydown', (event) => this.trapFocus(event));
+    }
+
+    if (document.fullscreenElement && REPLACED_ELEMENTS.includes(document.fullscreenElement.tagName)) {
+      document.exitFullscreen().catch(() => {});
+    }
+    const container = getOverlayContainer();
+    if (this.host.parentElement !== container) {
+      container.appendChild(this.host);
+    }
+    return this.root;
+  }
+
+  /**
+   * Show a modal overlay, replacing the current one
+   * @param {HTMLElement} element - The overlay (a dialog, or a status element like the spinner)
+   * @param {{backdrop: boolean}} options - Whether to dim and block the page behind it
+   */
+  showModal(element, { backdrop = true } = {}) {
+    const hadModal = Boolean(this.modal);
+    this.dismiss(hadModal);
+    const root = this.mount();
+
+    const layer = document.createElement('div');
+    layer.className = 'mtg-modal-layer';
+    if (backdrop) {
+      const backdropElement = document.createElement('div');
+      backdropElement.className = 'mtg-overlay-backdrop';
+      backdropElement.setAttribute('aria-hidden', 'true');
+      backdropElement.addEventListener('click', () => this.dismiss());
+      layer.appendChild(backdropElement);
+    }
+    layer.appendChild(element);
+    root.appendChild(layer);
+    this.modal = layer;
+
+    // Remember where focus was so it can be restored when the overlay closes
+    if (!hadModal) {
+      this.previousFocus = document.activeElement;
+    }
+    const focusTarget = element.querySelector('[autofocus]') || element.querySelector(FOCUSABLE_SELECTOR);
+    if (focusTarget) {
+      focusTarget.focus();
+    }
+  }
+
+  /**
+   * Close the modal overlay, if any, and give focus back to the page
+   * @param {boolean} keepFocus - Don't restore focus (another overlay is about to open)
+   */
+  dismiss(keepFocus = false) {
+    if (!this.modal) {
+      return;
+    }
+    this.modal.remove();
+    this.modal = null;
+    if (!keepFocus && this.previousFocus && this.previousFocus.isConnected && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+    if (!keepFocus) {
+      this.previousFocus = null;
+    }
+  }
+
+  /**
+   * Add a non-modal element
+   * @param {HTMLElement} element - Element to show
+   */
+  add(element) {
+    this.mount().appendChild(element);
+  }
+
+  /**
+   * Find an element in the shadow root
+   * @param {string} selector - CSS selector
+   * @returns {HTMLElement|null} - The first match
+   */
+  find(selector) {
+    return this.root ? this.root.querySelector(selector) : null;
+  }
+
+  /**
+   * Find every matching element in the shadow root
+   * @param {string} selector - CSS selector
+   * @returns {HTMLElement[]} - The matches
+   */
+  findAll(selector) {
+    return this.root ? [...this.root.querySelectorAll(selector)] : [];
+  }
+
+  /**
+   * Hide or show everything, e.g. while the tab is screenshotted for a capture
+   * @param {boolean} hidden - Whether to hide the overlays
+   */
+  setHidden(hidden) {
+    if (this.host) {
+      this.host.style.visibility = hidden ? 'hidden' : '';
+    }
+  }
+
+  /**
+   * The element an event really came from; events from inside the closed shadow root
+   * reach page listeners retargeted to the host
+   * @param {Event} event - The event
+   * @returns {Element} - The focused element inside the overlays, or the event target
+   */
+  getEventTarget(event) {
+    if (this.host && event.target === this.host && this.root.activeElement) {
+      return this.root.activeElement;
+    }
+    return event.target;
+  }
+
+  /**
+   * Keep Tab and Shift+Tab inside the open modal dialog
+   * @param {KeyboardEvent} event - Keydown inside the shadow root
+   */
+  trapFocus(event) {
+    if (event.key !== 'Tab' || !this.modal) {
+      return;
+    }
+    const dialog = this.modal.querySelector('[role="dialog"]');
+    if (!dialog) {
+      return;
+    }
+    const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)]
+      .filter(element => !element.disabled && element.getClientRects().length);
+    if (!focusable.length) {
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = this.root.activeElement;
+    if (event.shiftKey && (active === first || !dialog.contains(active))) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (active === last || !dialog.contains(active))) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+const overlays = new OverlayManager();
+
+/**
+ * Loading spinner component
+ * @param {string} message - Text shown under the spinner
+ * @returns {HTMLElement} - The spinner, announced to screen readers as a status
+ */
+function createSpinner(message) {
+  const spinner = document.createElement('div');
+  spinner.className = 'mtg-loading-spinner';
+  spinner.setAttribute('role', 'status');
+  spinner.setAttribute('aria-live', 'polite');
+
+  const animation = document.createElement('div');
+  animation.className = 'mtg-spinner';
+  animation.setAttribute('aria-hidden', 'true');
+
+  const text = document.createElement('div');
+  text.className = 'mtg-loading-text';
+  text.textContent = message;
+
+  spinner.appendChild(animation);
+  spinner.appendChild(text);
+  return spinner;
+}
+
+/**
+ * Modal dialog component with a close button; callers append their content
+ * @param {Object} options
+ * @param {string} options.className - Class of the dialog element
+ * @param {string} options.label - Accessible name of the dialog
+ * @param {string} options.closeClassName - Class of the close button
+ * @returns {HTMLElement} - The dialog
+ */
+function createDialog({ className, label, closeClassName = 'mtg-close-button' }) {
+  const dialog = document.createElement('div');
+  dialog.className = className;
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-label', label);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = closeClassName;
+  closeButton.textContent = '×';
+  closeButton.setAttribute('aria-label', `Close ${label}`);
+  closeButton.addEventListener('click', () => overlays.dismiss());
+
+  dialog.appendChild(closeButton);
+  return dialog;
+}
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGESTION_DEBOUNCE_MS = 200;
+const MIN_SUGGESTION_LENGTH = 2;
+
+/**
+ * Fallback card name form component, with a keyboard-navigable list of name suggestions
+ * @param {string} detectedText - Pre-filled text from OCR (if any); its suggestions are shown right away
+ * @param {string} errorMessage - Why the form is shown (optional)
+ * @param {Function} onSubmit - Called with the entered card name
+ * @param {Function} getSuggestions - Resolves a partial name to an array of card names
+ * @returns {HTMLElement} - The dialog
+ */
+function createFallbackForm(detectedText, errorMessage, onSubmit, getSuggestions) {
+  const dialog = createDialog({ className: 'mtg-text-input-modal', label: 'Card name search' });
+
+  const form = document.createElement('form');
+  form.className = 'mtg-fallback-form';
+
+  if (errorMessage) {
+    const error = document.createElement('div');
+    error.className = 'mtg-fallback-error';
+    error.setAttribute('role', 'alert');
+    error.textContent = errorMessage;
+    form.appendChild(error);
+  }
+
+  const label = document.createElement('label');
+  label.className = 'mtg-fallback-label';
+  label.textContent = 'Enter card name:';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Card name...';
+  input.value = detectedText || '';
+  input.autocomplete = 'off';
+  input.autofocus = true;
+  label.appendChild(input);
+
+  const list = document.createElement('ul');
+  list.className = 'mtg-suggestions';
+  list.id = 'mtg-suggestions';
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', 'Card name suggestions');
+  list.hidden = true;
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', list.id);
+  input.setAttribute('aria-expanded', 'false');
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.textContent = 'Search';
+
+  let suggestions = [];
+  let activeIndex = -1;
+  let debounceTimer = null;
+  let latestQuery = null;
+
+  const submit = (cardName) => {
+    cardName = cardName.trim();
+    if (cardName) {
+      onSubmit(cardName);
+    }
+  };
+
+  const setActive = (index) => {
+    activeIndex = index;
+    [...list.children].forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    if (index >= 0) {
+      input.setAttribute('aria-activedescendant', list.children[index].id);
+      list.children[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const renderSuggestions = (names) => {
+    suggestions = names;
+    list.replaceChildren(...names.map((name, index) => {
+      const option = document.createElement('li');
+      option.className = 'mtg-suggestion';
+      option.id = `mtg-suggestion-${index}`;
+      option.setAttribute('role', 'option');
+      option.textContent = name;
+      // Keep focus in the input while clicking a suggestion
+      option.addEventListener('pointerdown', (event) => event.preventDefault());
+      option.addEventListener('click', () => submit(name));
+      return option;
+    }));
+    list.hidden = !names.length;
+    input.setAttribute('aria-expanded', String(names.length > 0));
+    setActive(-1);
+  };
+
+  const requestSuggestions = (query) => {
+    latestQuery = query;
+    if (query.trim().length < MIN_SUGGESTION_LENGTH) {
+      renderSuggestions([]);
+      return;
+    }
+    // Suggestions are a convenience; on failure the form still searches what was typed
+    getSuggestions(query.trim())
+      .then(names => latestQuery === query && renderSuggestions(names))
+      .catch(() => latestQuery === query && renderSuggestions([]));
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => requestSuggestions(input.value), SUGGESTION_DEBOUNCE_MS);
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (list.hidden) {
+      return;
+    }
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActive((activeIndex + 1) % suggestions.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActive(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+    } else if (event.key === 'Enter' && activeIndex >= 0) {
+      event.preventDefault();
+      submit(suggestions[activeIndex]);
+    }
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    submit(input.value);
+  });
+
+  form.appendChild(label);
+  form.appendChild(list);
+  form.appendChild(submitButton);
+  dialog.appendChild(form);
+
+  if (detectedText) {
+    requestSuggestions(detectedText);
+  }
+  return dialog;
+}
+
+/**
+ * Scryfall search panel component: a query box and a grid of results, loaded a page at a time
+ * @param {string} initialQuery - Query to run right away (optional)
+ * @param {Function} search - Resolves (query, page) to {cards, totalCards, hasMore}
+ * @param {Function} onSelect - Called with the clicked card and the point to anchor it to
+ * @returns {HTMLElement} - The dialog
+ */
+function createSearchPanel(initialQuery, search, onSelect) {
+  const dialog = createDialog({ className: 'mtg-search-panel', label: 'Scryfall search' });
+
+  const form = document.createElement('form');
+  form.className = 'mtg-search-form';
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.placeholder = 't:creature c:g set:mh3';
+  input.value = initialQuery || '';
+  input.autofocus = true;
+  input.setAttribute('aria-label', 'Scryfall search query');
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.textContent = 'Search';
+
+  form.appendChild(input);
+  form.appendChild(submitButton);
+
+  const status = document.createElement('div');
+  status.className = 'mtg-search-status';
+  status.setAttribute('role', 'status');
+
+  const grid = document.createElement('ul');
+  grid.className = 'mtg-search-results';
+
+  const moreButton = document.createElement('button');
+  moreButton.className = 'mtg-search-more';
+  moreButton.textContent = 'Load more';
+  moreButton.hidden = true;
+
+  let query = '';
+  let page = 0;
+
+  const loadPage = (nextPage) => {
+    const requested = query;
+    status.textContent = 'Searching...';
+    moreButton.disabled = true;
+
+    search(requested, nextPage).then((result) => {
+      // Ignore results for a query the user has since replaced
+      if (requested !== query) {
+        return;
+      }
+      page = nextPage;
+      for (const card of result.cards) {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'mtg-search-result';
+        button.title = card.setName ? `${card.name} (${card.setName})` : card.name;
+        button.addEventListener('click', () => {
+          const rect = button.getBoundingClientRect();
+          onSelect(card, { x: rect.right, y: rect.top });
+        });
+
+        const image = document.createElement('img');
+        image.src = card.thumbnailUrl || card.imageUrl;
+        image.alt = '';
+        image.loading = 'lazy';
+
+        const name = document.createElement('span');
+        name.textContent = card.name;
+
+        button.appendChild(image);
+        button.appendChild(name);
+        item.appendChild(button);
+        grid.appendChild(item);
+      }
+      status.textContent = result.totalCards
+        ? `Showing ${grid.children.length} of ${result.totalCards} cards`
+        : 'No cards found.';
+      moreButton.hidden = !result.hasMore;
+      moreButton.disabled = false;
+    }).catch((error) => {
+      if (requested === query) {
+        status.textContent = error.message;
+        moreButton.hidden = true;
+      }
+    });
+  };
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    query = input.value.trim();
+    if (query) {
+      grid.replaceChildren();
+      loadPage(1);
+    }
+  });
+  moreButton.addEventListener('click', () => loadPage(page + 1));
+
+  dialog.appendChild(form);
+  dialog.appendChild(status);
+  dialog.appendChild(grid);
+  dialog.appendChild(moreButton);
+
+  if (input.value) {
+    query = input.value.trim();
+    loadPage(1);
+  }
+  return dialog;
+}
+
+/**
+ * Notice shown on cards answered from the service worker's cache while offline
+ * @returns {HTMLElement} - The notice
+ */
+function createOfflineNotice() {
+  const notice = document.createElement('div');
+  notice.className = 'mtg-offline-notice';
+  notice.setAttribute('role', 'status');
+  notice.textContent = 'Offline — showing cached result';
+  return notice;
+}
+
+/**
+ * Dialog explaining why the backend refused a lookup (quota, throttling, access), shown
+ * instead of the fallback form since entering a name wouldn't get past it either
+ * @param {string} message - Readable explanation
+ * @returns {HTMLElement} - The dialog
+ */
+function createAccessErrorDialog(message) {
+  const dialog = createDialog({ className: 'mtg-text-input-modal', label: 'Lookup unavailable' });
+
+  const error = document.createElement('div');
+  error.className = 'mtg-access-error';
+  error.setAttribute('role', 'alert');
+  error.textContent = message;
+  dialog.appendChild(error);
+  return dialog;
+}
+
+/**
+ * Debug panel component showing the captured region and what the backend made of it
+ * @param {Object} info
+ * @param {HTMLCanvasElement|null} info.canvas - The captured region
+ * @param {string} info.errorMessage - Error to display (optional)
+ * @param {string} info.detectedText - Text detected by OCR (optional)
+ * @param {string} info.ocrMethod - The OCR method used
+ * @param {Array<{card: Object, score: number}>} info.candidates - Ranked matches (optional)
+ * @param {{path: string|null, failureReason: string|null}} info.capture - How the region was captured (optional)
+ * @returns {HTMLElement} - The dialog
+ */
+function createDebugPanel({ canvas, errorMessage, detectedText, ocrMethod, candidates, capture }) {
+  const dialog = createDialog({
+    className: 'mtg-debug-overlay',
+    label: 'Debug Mode - OCR Detection',
+    closeClassName: 'mtg-debug-close-button'
+  });
+
+  if (errorMessage) {
+    const error = document.createElement('div');
+    error.className = 'mtg-debug-error';
+    error.setAttribute('role', 'alert');
+    error.textContent = errorMessage;
+    dialog.appendChild(error);
+  }
+
+  const title = document.createElement('div');
+  title.className = 'mtg-debug-title';
+  title.textContent = 'Debug Mode - OCR Detection';
+  dialog.appendChild(title);
+
+  if (detectedText) {
+    const ocrContainer = document.createElement('div');
+    ocrContainer.className = 'mtg-debug-ocr-container';
+    ocrContainer.setAttribute('aria-live', 'polite');
+
+    const ocrLabel = document.createElement('div');
+    ocrLabel.className = 'mtg-debug-ocr-label';
+    ocrLabel.textContent = `${ocrMethod} Text:`;
+
+    const ocrText = document.createElement('div');
+    ocrText.className = 'mtg-debug-ocr-text';
+    ocrText.textContent = detectedText;
+
+    ocrContainer.appendChild(ocrLabel);
+    ocrContainer.appendChild(ocrText);
+    dialog.appendChild(ocrContainer);
+  }
+
+  // Ranked candidate list
+  if (candidates && candidates.length) {
+    const candidateContainer = document.createElement('div');
+    candidateContainer.className = 'mtg-debug-text-list-container';
+
+    const listTitle = document.createElement('div');
+    listTitle.className = 'mtg-debug-text-list-title';
+    listTitle.textContent = 'Candidates:';
+
+    const list = document.createElement('ul');
+    list.className = 'mtg-debug-text-list';
+    candidates.forEach((candidate, index) => {
+      const item = document.createElement('li');
+      item.className = index === 0 ? 'mtg-debug-text-item mtg-debug-closest' : 'mtg-debug-text-item';
+      item.textContent = `${candidate.card.name} (${candidate.score.toFixed(2)})`;
+      list.appendChild(item);
+    });
+
+    candidateContainer.appendChild(listTitle);
+    candidateContainer.appendChild(list);
+    dialog.appendChild(candidateContainer);
+  }
+
+  // Which capture path was used and why the direct capture failed
+  if (capture) {
+    const captureInfo = document.createElement('div');
+    captureInfo.className = 'mtg-debug-capture-info';
+
+    const pathLine = document.createElement('div');
+    pathLine.textContent = `Capture path: ${capture.path || 'none'}`;
+    captureInfo.appendChild(pathLine);
+
+    if (capture.failureReason) {
+      const reasonLine = document.createElement('div');
+      reasonLine.className = 'mtg-debug-capture-reason';
+      reasonLine.textContent = `Direct capture failed: ${capture.failureReason}`;
+      captureInfo.appendChild(reasonLine);
+    }
+    dialog.appendChild(captureInfo);
+  }
+
+  const canvasContainer = document.createElement('div');
+  canvasContainer.className = 'mtg-debug-canvas-container';
+  if (canvas) {
+    const img = document.createElement('img');
+    img.className = 'mtg-debug-canvas-image';
+    img.src = canvas.toDataURL();
+    img.alt = 'Captured region for OCR';
+    canvasContainer.appendChild(img);
+  } else {
+    const noCanvas = document.createElement('div');
+    noCanvas.className = 'mtg-debug-no-canvas';
+    noCanvas.textContent = 'No canvas captured';
+    canvasContainer.appendChild(noCanvas);
+  }
+  dialog.appendChild(canvasContainer);
+
+  return dialog;
+}
@@ -0,0 +1,303 @@
+/**
+ * Popup script for MTG Card Lookup extension
+ * Shows the card collection and persistent lookup history stored by the content script
+ */
+
+const historyList = document.getElementById('history-list');
+const historySearch = document.getElementById('history-search');
+const historyClear = document.getElementById('history-clear');
+
+const collectionList = document.getElementById('collection-list');
+const collectionFormat = document.getElementById('collection-format');
+const collectionCopy = document.getElementById('collection-copy');
+const collectionDownload = document.getElementById('collection-download');
+const collectionClear = document.getElementById('collection-clear');
+const collectionStatus = document.getElementById('collection-status');
+
+let lookupHistory = [];
+let collection = {};
+
+/**
+ * Format a video position in seconds as h:mm:ss or m:ss
+ * @param {number} seconds - Position in the video
+ * @returns {string} - Formatted timestamp
+ */
+function formatVideoTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Build a link back to the moment in the video when the card was looked up
+ * @param {Object} entry - History entry
+ * @returns {string} - URL of the video at the lookup time, or the page URL
+ */
+function getJumpUrl(entry) {
+  if (entry.jumpUrl) {
+    return entry.jumpUrl;
+  }
+  // Entries recorded before site adapters were added are all YouTube
+  if (entry.videoId && !entry.site) {
+    const time = entry.videoTime != null ? `&t=${entry.videoTime}s` : '';
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(entry.videoId)}${time}`;
+  }
+  return entry.pageUrl;
+}
+
+/**
+ * Render the history entries matching the search box
+ */
+function renderHistory() {
+  const query = historySearch.value.trim().toLowerCase();
+  const entries = lookupHistory.filter(entry =>
+    !query ||
+    entry.card.name.toLowerCase().includes(query) ||
+    (entry.pageTitle || '').toLowerCase().includes(query));
+
+  historyList.replaceChildren();
+
+  if (!entries.length) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = lookupHistory.length ? 'No matching lookups.' : 'No lookups yet.';
+    historyList.appendChild(empty);
+    return;
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = 'history-entry';
+
+    const thumbnail = document.createElement('img');
+    thumbnail.src = entry.card.thumbnailUrl || entry.card.imageUrl;
+    thumbnail.alt = '';
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+
+    const name = document.createElement('div');
+    name.className = 'history-name';
+    name.textContent = entry.card.name;
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = new Date(entry.timestamp).toLocaleString();
+    meta.title = entry.pageTitle || '';
+
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const jumpUrl = getJumpUrl(entry);
+    if (jumpUrl) {
+      const link = document.createElement('a');
+      link.href = jumpUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = entry.videoTime != null && jumpUrl !== entry.pageUrl
+        ? `Jump to ${formatVideoTime(entry.videoTime)}`
+        : 'Open page';
+      info.appendChild(link);
+    }
+
+    item.appendChild(thumbnail);
+    item.appendChild(info);
+    historyList.appendChild(item);
+  }
+}
+
+/**
+ * Render the collection with editable quantities
+ */
+function renderCollection() {
+  const entries = Object.entries(collection);
+  collectionList.replaceChildren();
+  collectionCopy.disabled = !entries.length;
+  collectionDownload.disabled = !entries.length;
+
+  if (!entries.length) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = 'Add cards from the card overlay to build a list.';
+    collectionList.appendChild(empty);
+    return;
+  }
+
+  for (const [key, entry] of entries) {
+    const item = document.createElement('li');
+    item.className = 'collection-entry';
+
+    const quantity = document.createElement('input');
+    quantity.type = 'number';
+    quantity.min = '1';
+    quantity.value = entry.quantity;
+    quantity.setAttribute('aria-label', `Quantity of ${entry.name}`);
+    quantity.addEventListener('change', () => {
+      const value = parseInt(quantity.value, 10);
+      if (value > 0) {
+        collection[key] = { ...entry, quantity: value };
+        chrome.storage.local.set({ collection });
+      }
+    });
+
+    const name = document.createElement('span');
+    name.className = 'collection-name';
+    name.textContent = entry.name;
+    name.title = entry.setName ? `${entry.name} (${entry.setName})` : entry.name;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove ${entry.name}`);
+    remove.addEventListener('click', () => {
+      delete collection[key];
+      chrome.storage.local.set({ collection });
+    });
+
+    item.appendChild(quantity);
+    item.appendChild(name);
+    item.appendChild(remove);
+    collectionList.appendChild(item);
+  }
+}
+
+/**
+ * Export the collection in the selected decklist format
+ * @returns {{format: Object, text: string}} - The format and exported text
+ */
+function exportCollection() {
+  const format = DECKLIST_FORMATS[collectionFormat.value];
+  return { format, text: format.export(Object.values(collection)) };
+}
+
+for (const [id, format] of Object.entries(DECKLIST_FORMATS)) {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = format.label;
+  collectionFormat.appendChild(option);
+}
+
+collectionCopy.addEventListener('click', () => {
+  const { format, text } = exportCollection();
+  navigator.clipboard.writeText(text)
+    .then(() => { collectionStatus.textContent = `Copied ${format.label} list to clipboard.`; })
+    .catch(() => { collectionStatus.textContent = 'Unable to copy to clipboard.'; });
+});
+
+collectionDownload.addEventListener('click', () => {
+  const { format, text } = exportCollection();
+  const url = URL.createObjectURL(new Blob([text], { type: format.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `mtg-card-lookup.${format.extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+  collectionStatus.textContent = `Downloaded ${link.download}.`;
+});
+
+collectionClear.addEventListener('click', () => {
+  if (confirm('Remove all cards from the collection?')) {
+    chrome.storage.local.set({ collection: {} });
+  }
+});
+
+/**
+ * Show the "enable on this site" toggle for the active tab
+ * Built-in sites are always on; other sites need the host permission and a registered content script
+ */
+function setupSiteToggle() {
+  const siteAccess = document.getElementById('site-access');
+  const siteToggle = document.getElementById('site-toggle');
+  const siteLabel = document.getElementById('site-label');
+
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+      return;
+    }
+    const url = new URL(tab.url);
+    siteAccess.hidden = false;
+
+    const adapter = SITE_ADAPTERS.find(site => site.hosts.includes(url.hostname));
+    if (adapter) {
+      siteToggle.checked = true;
+      siteToggle.disabled = true;
+      siteLabel.textContent = `Always enabled on ${adapter.name}`;
+      return;
+    }
+
+    siteLabel.textContent = `Enable on ${url.hostname}`;
+    chrome.runtime.sendMessage({ action: 'getSiteEnabled', origin: url.origin }, (response) => {
+      siteToggle.checked = Boolean(response && response.enabled);
+    });
+
+    siteToggle.addEventListener('change', () => {
+      const origins = [`${url.origin}/*`];
+      const update = (enabled) => chrome.runtime.sendMessage(
+        { action: 'setSiteEnabled', origin: url.origin, enabled, tabId: tab.id },
+        (response) => {
+          if (!response || !response.success) {
+            siteToggle.checked = !enabled;
+            siteLabel.textContent = `Unable to change access: ${response?.error || 'unknown error'}`;
+          } else if (!enabled) {
+            chrome.permissions.remove({ origins });
+            siteLabel.textContent = `Disabled on ${url.hostname} (reload the page)`;
+          }
+        }
+      );
+
+      if (siteToggle.checked) {
+        // Must be requested directly from the click for the permission prompt to show
+        chrome.permissions.request({ origins }, (granted) => {
+          if (granted) {
+            update(true);
+          } else {
+            siteToggle.checked = false;
+          }
+        });
+      } else {
+        update(false);
+      }
+    });
+  });
+}
+
+setupSiteToggle();
+
+document.getElementById('open-options').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Show the user's configured hotkeys in the instructions
+loadSettings((settings) => {
+  for (const code of document.querySelectorAll('[data-hotkey]')) {
+    code.textContent = formatHotkey(settings[code.dataset.hotkey]);
+  }
+});
+
+historySearch.addEventListener('input', renderHistory);
+
+historyClear.addEventListener('click', () => {
+  if (confirm('Clear all lookup history?')) {
+    chrome.storage.local.set({ lookupHistory: [] });
+  }
+});
+
+// Keep the lists current if a lookup happens while the popup is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.lookupHistory) {
+    lookupHistory = changes.lookupHistory.newValue || [];
+    renderHistory();
+  }
+  if (area === 'local' && changes.collection) {
+    collection = changes.collection.newValue || {};
+    renderCollection();
+  }
+});
+
+chrome.storage.local.get({ lookupHistory: [], collection: {} }, (result) => {
+  lookupHistory = result.lookupHistory;
+  collection = result.collection;
+  renderHistory();
+  renderCollection();
+});
@@ -0,0 +1,49 @@
+/**
+ * Card-art recognition for the MTG Card Lookup Lambda
+ *
+ * Matches a captured region against perceptual hashes of Scryfall's `art_crop` images,
+ * for cards shown at an angle, under sleeve glare or zoomed so the name bar isn't
+ * readable. The hash index is built offline with build-art-index.js.
+ */
+
+import { readFile } from 'fs/promises';
+import { hammingDistance, perceptualHash } from './image.js';
+
+const MAX_ART_DISTANCE = 12;
+// The capture usually includes some card frame around the art, so also try centered crops
+const CROP_FRACTIONS = [1, 0.8, 0.6];
+
+let artIndex;
+
+// Loaded once per container from ART_INDEX_PATH; resolves to null when no index is configured
+export function getArtIndex(path = process.env.ART_INDEX_PATH) {
+  if (!path) return Promise.resolve(null);
+  if (!artIndex) {
+    artIndex = readFile(path, 'utf8').then(json => {
+      const entries = JSON.parse(json);
+      console.log(`Loaded ${entries.length} art hashes from ${path}`);
+      return entries;
+    });
+    artIndex.catch(e => {
+      console.error('Art index load failed:', e.message);
+      artIndex = null;
+    });
+  }
+  return artIndex.catch(() => null);
+}
+
+/**
+ * Rank cards whose art looks like the decoded image, best first
+ * @returns {Array<{id: string, name: string, score: number}>}
+ */
+export function matchArt(entries, image, limit = 5) {
+  const hashes = CROP_FRACTIONS.map(f => perceptualHash(image, {
+    x: image.width * (1 - f) / 2, y: image.height * (1 - f) / 2, width: image.width * f, height: image.height * f
+  }));
+  const matches = [];
+  for (const entry of entries) {
+    const distance = Math.min(...hashes.map(h => hammingDistance(h, entry.hash)));
+    if (distance <= MAX_ART_DISTANCE) matches.push({ id: entry.id, name: entry.name, score: 1 - distance / 64 });
+  }
+  return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+}
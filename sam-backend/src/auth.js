@@ -0,0 +1,192 @@
+/**
+ * Access control for the MTG Card Lookup Lambda
+ *
+ * Each extension install registers once (POST /register) and gets a signed install token,
+ * `<installId>.<issuedAt>.<signature>` where the signature is an HMAC-SHA256 of the first
+ * two parts with AUTH_SECRET, so tokens are verified without a database lookup. Tokens
+ * expire after TOKEN_MAX_AGE_DAYS (default 30), and the extension registers again. Requests
+ * that call an OCR provider (not those answered from the lookup cache) count against the
+ * install's daily quota (DAILY_OCR_QUOTA, the usage plan), or for passive scan lookups a
+ * separate DAILY_SCAN_QUOTA so scanning can't use up the hotkey lookups, kept in the USAGE_TABLE DynamoDB table or, without one, per container. When
+ * ALLOWED_EXTENSION_IDS is set, only requests from those extensions' origins are accepted.
+ * A missing AUTH_SECRET fails every request (500) rather than leaving the API open and
+ * unmetered; AUTH_DISABLED=1 turns tokens and quotas off for local development and tests.
+ *
+ * Failures throw errors with `status` (401, 403 or 429), `code` and, for quotas, `retryAfter`
+ * in seconds, which the handler returns as `{error, code, retryAfter}`.
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+const DEFAULT_DAILY_OCR_QUOTA = 300;
+const DEFAULT_DAILY_SCAN_QUOTA = 300;
+// A leaked token is only good until it expires; the extension registers again on the 401
+const DEFAULT_TOKEN_MAX_AGE_DAYS = 30;
+// Registrations are open, so they're limited per IP to stop minting fresh quota; high enough
+// for many installs behind one NAT (a school, an office, carrier-grade NAT)
+const DEFAULT_DAILY_REGISTRATIONS_PER_IP = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_MEMORY_COUNTERS = 10000;
+
+function authError(status, code, message, retryAfter) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (retryAfter !== undefined) err.retryAfter = retryAfter;
+  return err;
+}
+
+// The signing secret, or null when auth is explicitly disabled
+function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (process.env.AUTH_DISABLED === '1') return null;
+  console.error('AUTH_SECRET is not set (set AUTH_DISABLED=1 to run without access control)');
+  const err = new Error('Server config error');
+  err.status = 500;
+  throw err;
+}
+
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+export function issueToken(secret, installId = randomUUID(), issuedAt = Date.now()) {
+  const payload = `${installId}.${issuedAt.toString(36)}`;
+  return { installId, token: `${payload}.${sign(payload, secret)}` };
+}
+
+function tokenMaxAgeMs() {
+  return (Number(process.env.TOKEN_MAX_AGE_DAYS) || DEFAULT_TOKEN_MAX_AGE_DAYS) * DAY_MS;
+}
+
+// The install ID for a valid, unexpired token, else null
+export function verifyToken(token, secret, maxAgeMs = tokenMaxAgeMs(), now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || !parts[0]) return null;
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+  const actual = Buffer.from(parts[2]);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  // Tokens from the future (a clock skew of over a minute) are as suspect as old ones
+  const issuedAt = parseInt(parts[1], 36);
+  if (!Number.isFinite(issuedAt) || issuedAt > now + 60 * 1000 || now - issuedAt > maxAgeMs) return null;
+  return parts[0];
+}
+
+export function getAllowedExtensionIds(ids = process.env.ALLOWED_EXTENSION_IDS) {
+  return (ids || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Extension service workers send their chrome-extension:// origin; anything goes without an allow list
+export function isAllowedOrigin(origin, allowedIds = getAllowedExtensionIds()) {
+  return !allowedIds.length || allowedIds.some(id => origin === `chrome-extension://${id}`);
+}
+
+export function checkOrigin(origin, allowedIds = getAllowedExtensionIds()) {
+  if (!isAllowedOrigin(origin, allowedIds)) throw authError(403, 'origin_not_allowed', 'Requests from this origin are not allowed');
+}
+
+export class MemoryCounter {
+  constructor() {
+    this.counts = new Map();
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    if (this.counts.size > MAX_MEMORY_COUNTERS) {
+      for (const [k, entry] of this.counts) {
+        if (entry.expires < now) this.counts.delete(k);
+      }
+    }
+    const entry = this.counts.get(key);
+    const count = entry && entry.expires >= now ? entry.count + 1 : 1;
+    this.counts.set(key, { count, expires: entry && entry.expires >= now ? entry.expires : now + ttlMs });
+    return count;
+  }
+}
+
+// Items are {key, count, expires (epoch seconds)}; DynamoDB's TTL deletes old days
+export class DynamoCounter {
+  constructor(tableName) {
+    this.tableName = tableName;
+    this.client = null;
+  }
+
+  async increment(key, ttlMs) {
+    if (!this.client) {
+      // Included in the Lambda Node.js runtime
+      const { DynamoDBClient, UpdateItemCommand } = await import('@aws-sdk/client-dynamodb');
+      this.client = { db: new DynamoDBClient({}), UpdateItemCommand };
+    }
+    const { db, UpdateItemCommand } = this.client;
+    const { Attributes } = await db.send(new UpdateItemCommand({
+      TableName: this.tableName,
+      Key: { key: { S: key } },
+      UpdateExpression: 'ADD #count :one SET expires = if_not_exists(expires, :expires)',
+      ExpressionAttributeNames: { '#count': 'count' },
+      ExpressionAttributeValues: { ':one': { N: '1' }, ':expires': { N: String(Math.ceil((Date.now() + ttlMs) / 1000)) } },
+      ReturnValues: 'UPDATED_NEW'
+    }));
+    return Number(Attributes.count.N);
+  }
+}
+
+let counter;
+
+export function getCounter() {
+  if (!counter) counter = process.env.USAGE_TABLE ? new DynamoCounter(process.env.USAGE_TABLE) : new MemoryCounter();
+  return counter;
+}
+
+// Count one use of a daily allowance (UTC days), throwing a 429 once it's used up
+async function consumeDaily(key, limit, code, message, counterStore) {
+  const now = Date.now();
+  const count = await counterStore.increment(`${key}:${new Date(now).toISOString().slice(0, 10)}`, 2 * DAY_MS);
+  if (count > limit) throw authError(429, code, message, Math.ceil((DAY_MS - now % DAY_MS) / 1000));
+}
+
+/**
+ * Issue a token for a new install
+ * @returns {Promise<{installId: string|null, token: string|null}>} - Nulls when auth is disabled
+ */
+export async function register(sourceIp, counterStore = getCounter()) {
+  const secret = getSecret();
+  if (!secret) return { installId: null, token: null };
+  const limit = Number(process.env.DAILY_REGISTRATIONS_PER_IP) || DEFAULT_DAILY_REGISTRATIONS_PER_IP;
+  await consumeDaily(`register:${sourceIp || 'unknown'}`, limit, 'registration_limit', 'Too many registrations from this network today', counterStore);
+  return issueToken(secret);
+}
+
+/**
+ * Check the request's install token
+ * @param {string|undefined} authorization - The Authorization header ('Bearer <token>')
+ * @returns {Promise<string|null>} - The install ID, or null when auth is disabled
+ */
+export async function authorize(authorization) {
+  const secret = getSecret();
+  if (!secret) return null;
+  const token = /^Bearer (\S+)$/i.exec(authorization || '')?.[1];
+  if (!token) throw authError(401, 'missing_token', 'Missing install token');
+  const installId = verifyToken(token, secret);
+  if (!installId) throw authError(401, 'invalid_token', 'Invalid or expired install token');
+  return installId;
+}
+
+/**
+ * Count one OCR provider call against an install's daily quota
+ * @param {string|null} installId - From authorize; null (auth disabled) isn't metered
+ */
+export async function consumeOcrQuota(installId, counterStore = getCounter()) {
+  if (!installId) return;
+  const quota = Number(process.env.DAILY_OCR_QUOTA) || DEFAULT_DAILY_OCR_QUOTA;
+  await consumeDaily(`ocr:${installId}`, quota, 'quota_exceeded', 'Daily lookup quota exceeded', counterStore);
+}
+
+/**
+ * Count one OCR provider call from passive scanning against an install's daily scan quota
+ * @param {string|null} installId - From authorize; null (auth disabled) isn't metered
+ */
+export async function consumeScanQuota(installId, counterStore = getCounter()) {
+  if (!installId) return;
+  const quota = Number(process.env.DAILY_SCAN_QUOTA) || DEFAULT_DAILY_SCAN_QUOTA;
+  await consumeDaily(`scan:${installId}`, quota, 'scan_quota_exceeded', 'Daily scan quota exceeded', counterStore);
+}
@@ -0,0 +1,106 @@
+/**
+ * Tests for install tokens, origin checks and daily quotas
+ */
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorize, checkOrigin, consumeOcrQuota, consumeScanQuota, isAllowedOrigin, issueToken, MemoryCounter, register, verifyToken } from './auth.js';
+
+const SECRET = 'test-secret';
+
+afterEach(() => {
+  delete process.env.AUTH_SECRET;
+  delete process.env.AUTH_DISABLED;
+  delete process.env.DAILY_OCR_QUOTA;
+  delete process.env.DAILY_SCAN_QUOTA;
+  delete process.env.DAILY_REGISTRATIONS_PER_IP;
+});
+
+test('issued tokens verify to their install ID', () => {
+  const { installId, token } = issueToken(SECRET);
+  assert.match(installId, /^[0-9a-f-]{36}$/);
+  assert.equal(verifyToken(token, SECRET), installId);
+});
+
+test('tokens expire after the max age', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const issuedAt = Date.UTC(2026, 0, 1);
+  const { installId, token } = issueToken(SECRET, undefined, issuedAt);
+  assert.equal(verifyToken(token, SECRET, 30 * day, issuedAt + 29 * day), installId);
+  assert.equal(verifyToken(token, SECRET, 30 * day, issuedAt + 31 * day), null);
+  assert.equal(verifyToken(token, SECRET, 30 * day, issuedAt - day), null);
+});
+
+test('tampered, foreign and malformed tokens are rejected', () => {
+  const { token } = issueToken(SECRET, 'install-a');
+  const [, issuedAt, signature] = token.split('.');
+  assert.equal(verifyToken(`install-b.${issuedAt}.${signature}`, SECRET), null);
+  assert.equal(verifyToken(token, 'other-secret'), null);
+  assert.equal(verifyToken(token.slice(0, -1), SECRET), null);
+  assert.equal(verifyToken('not-a-token', SECRET), null);
+  assert.equal(verifyToken(undefined, SECRET), null);
+});
+
+test('origins are checked against the extension ID allow list', () => {
+  assert.equal(isAllowedOrigin(undefined, []), true);
+  assert.equal(isAllowedOrigin('chrome-extension://abc', ['abc', 'def']), true);
+  assert.equal(isAllowedOrigin('chrome-extension://xyz', ['abc']), false);
+  assert.equal(isAllowedOrigin(undefined, ['abc']), false);
+  assert.throws(() => checkOrigin('https://example.com', ['abc']), e => e.status === 403 && e.code === 'origin_not_allowed');
+});
+
+test('a missing AUTH_SECRET is a server error unless auth is disabled', async () => {
+  await assert.rejects(authorize(undefined), e => e.status === 500 && !e.code);
+  await assert.rejects(register('1.2.3.4', new MemoryCounter()), e => e.status === 500);
+});
+
+test('authorize is a no-op with AUTH_DISABLED', async () => {
+  process.env.AUTH_DISABLED = '1';
+  assert.equal(await authorize(undefined), null);
+  await consumeOcrQuota(null, new MemoryCounter());
+  assert.deepEqual(await register('1.2.3.4', new MemoryCounter()), { installId: null, token: null });
+});
+
+test('authorize rejects missing and invalid tokens with 401', async () => {
+  process.env.AUTH_SECRET = SECRET;
+  await assert.rejects(authorize(undefined), e => e.status === 401 && e.code === 'missing_token');
+  await assert.rejects(authorize('Bearer nope'), e => e.status === 401 && e.code === 'invalid_token');
+  const { installId, token } = issueToken(SECRET);
+  assert.equal(await authorize(`Bearer ${token}`), installId);
+});
+
+test('OCR calls past the daily quota get 429 with a retry time', async () => {
+  process.env.DAILY_OCR_QUOTA = '2';
+  const counter = new MemoryCounter();
+  await consumeOcrQuota('install-a', counter);
+  await consumeOcrQuota('install-a', counter);
+  await assert.rejects(consumeOcrQuota('install-a', counter), e => {
+    assert.equal(e.status, 429);
+    assert.equal(e.code, 'quota_exceeded');
+    assert.ok(e.retryAfter > 0 && e.retryAfter <= 24 * 60 * 60);
+    return true;
+  });
+  // Other installs have their own quota
+  await consumeOcrQuota('install-b', counter);
+});
+
+test('passive scan lookups have their own daily quota', async () => {
+  process.env.DAILY_OCR_QUOTA = '1';
+  process.env.DAILY_SCAN_QUOTA = '1';
+  const counter = new MemoryCounter();
+  await consumeScanQuota('install-a', counter);
+  await assert.rejects(consumeScanQuota('install-a', counter), e => e.status === 429 && e.code === 'scan_quota_exceeded');
+  // Scanning didn't use up the hotkey lookups
+  await consumeOcrQuota('install-a', counter);
+  await assert.rejects(consumeOcrQuota('install-a', counter), e => e.code === 'quota_exceeded');
+});
+
+test('registrations are limited per IP', async () => {
+  process.env.AUTH_SECRET = SECRET;
+  process.env.DAILY_REGISTRATIONS_PER_IP = '1';
+  const counter = new MemoryCounter();
+  const { token } = await register('1.2.3.4', counter);
+  assert.ok(verifyToken(token, SECRET));
+  await assert.rejects(register('1.2.3.4', counter), e => e.status === 429 && e.code === 'registration_limit');
+  await register('5.6.7.8', counter);
+});
@@ -0,0 +1,45 @@
+/**
+ * Build the card-art hash index from a card database snapshot (see update-card-db.js)
+ * Usage: node build-art-index.js [card db path] [output path]
+ *        (defaults: data/oracle-cards.json, data/art-index.json)
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { perceptualHash } from './image.js';
+
+const IMAGE_FETCH_DELAY_MS = 100;
+const cardDbPath = process.argv[2] || 'data/oracle-cards.json';
+const outputPath = process.argv[3] || 'data/art-index.json';
+
+async function main() {
+  const { default: jpeg } = await import('jpeg-js');
+  const cards = JSON.parse(await readFile(cardDbPath, 'utf8'));
+  const entries = [];
+
+  for (const [i, card] of cards.entries()) {
+    // Every face with its own art gets an entry (transform and modal double-faced cards)
+    const faces = card.image_uris ? [card.image_uris] : (card.card_faces || []).map(f => f.image_uris);
+    for (const artUri of faces.map(uris => uris?.art_crop).filter(Boolean)) {
+      await new Promise(resolve => setTimeout(resolve, IMAGE_FETCH_DELAY_MS));
+      try {
+        const resp = await fetch(artUri);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const image = jpeg.decode(Buffer.from(await resp.arrayBuffer()), { useTArray: true });
+        entries.push({ id: card.id, name: card.name, hash: perceptualHash({ ...image, channels: 4 }) });
+      } catch (e) {
+        console.error(`Skipping ${card.name}: ${e.message}`);
+      }
+    }
+    if ((i + 1) % 1000 === 0) console.log(`${i + 1}/${cards.length} cards hashed...`);
+  }
+
+  await mkdir(dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, JSON.stringify(entries));
+  console.log(`Wrote ${entries.length} art hashes to ${outputPath}`);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+/**
+ * Result cache for the MTG Card Lookup Lambda
+ *
+ * Repeat captures of the same paused frame and repeat name lookups of popular cards are
+ * answered from a cache instead of calling the OCR provider and Scryfall again. Captures
+ * are keyed by a hash of their decoded pixels, so the same region re-encoded still hits but
+ * two similar name bars never share a result; names are keyed by their normalized form. The store is selected with the
+ * CACHE_STORE env var:
+ *   memory   - LRU per Lambda container (default), CACHE_MAX_ENTRIES entries
+ *   dynamodb - shared DynamoDB table CACHE_TABLE with a TTL attribute, see template.yaml
+ *   file     - JSON file at CACHE_FILE_PATH, for tests and local development
+ *   none     - no caching
+ */
+
+import { createHash } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import { decodePNG } from './image.js';
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+export class MemoryStore {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    if (entry.expires < Date.now()) return null;
+    // Re-insert so the Map's order is least recently used first
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+export class FileStore {
+  constructor(path) {
+    this.name = 'file';
+    this.path = path;
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  async get(key) {
+    const entry = (await this.read())[key];
+    return entry && entry.expires >= Date.now() ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    const entries = await this.read();
+    const now = Date.now();
+    for (const [k, entry] of Object.entries(entries)) {
+      if (entry.expires < now) delete entries[k];
+    }
+    entries[key] = { value, expires: now + ttlMs };
+    await writeFile(this.path, JSON.stringify(entries));
+  }
+}
+
+// Items are {key, value (JSON), expires (epoch seconds)}; DynamoDB deletes expired items
+// some time after `expires`, so reads check it as well
+export class DynamoStore {
+  constructor(tableName) {
+    this.name = 'dynamodb';
+    this.tableName = tableName;
+    this.client = null;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      // Included in the Lambda Node.js runtime
+      const { DynamoDBClient, GetItemCommand, PutItemCommand } = await import('@aws-sdk/client-dynamodb');
+      this.client = { db: new DynamoDBClient({}), GetItemCommand, PutItemCommand };
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const { db, GetItemCommand } = await this.getClient();
+    const { Item } = await db.send(new GetItemCommand({ TableName: this.tableName, Key: { key: { S: key } } }));
+    if (!Item || Number(Item.expires.N) * 1000 < Date.now()) return null;
+    return JSON.parse(Item.value.S);
+  }
+
+  async set(key, value, ttlMs) {
+    const { db, PutItemCommand } = await this.getClient();
+    await db.send(new PutItemCommand({
+      TableName: this.tableName,
+      Item: {
+        key: { S: key },
+        value: { S: JSON.stringify(value) },
+        expires: { N: String(Math.ceil((Date.now() + ttlMs) / 1000)) }
+      }
+    }));
+  }
+}
+
+const NO_CACHE = { name: 'none', get: async () => null, set: async () => {} };
+
+let cache;
+
+export function getCache(kind = process.env.CACHE_STORE || 'memory') {
+  if (!cache || cache.name !== kind) {
+    if (kind === 'memory') cache = new MemoryStore(Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES);
+    else if (kind === 'dynamodb') cache = new DynamoStore(process.env.CACHE_TABLE);
+    else if (kind === 'file') cache = new FileStore(process.env.CACHE_FILE_PATH || '/tmp/mtg-card-lookup-cache.json');
+    else if (kind === 'none') cache = NO_CACHE;
+    else throw new Error(`Unknown cache store: ${kind}`);
+  }
+  return cache;
+}
+
+/**
+ * Return the cached value for the key, or compute and cache it
+ * A failing store never fails the lookup; it's treated as a miss
+ * @returns {Promise<{value: *, hit: boolean}>}
+ */
+export async function cached(store, key, ttlMs, compute) {
+  try {
+    const value = await store.get(key);
+    if (value !== null) return { value, hit: true };
+  } catch (e) {
+    console.error('Cache read failed:', e.message);
+  }
+  const value = await compute();
+  try {
+    await store.set(key, value, ttlMs);
+  } catch (e) {
+    console.error('Cache write failed:', e.message);
+  }
+  return { value, hit: false };
+}
+
+/**
+ * Cache key for a PNG capture: its size and a SHA-256 of the decoded pixels
+ * Perceptual hashes would also match a slightly shifted capture, but they match different
+ * cards whose name bars look alike too, and a wrong card is worse than a cache miss
+ */
+export function imageCacheKey(base64Image) {
+  const { width, height, channels, data } = decodePNG(Buffer.from(base64Image, 'base64'));
+  return `${width}x${height}x${channels}:${createHash('sha256').update(data).digest('hex')}`;
+}
@@ -0,0 +1,94 @@
+/**
+ * Tests for the lookup cache stores and capture cache keys
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { deflateSync } from 'zlib';
+import { cached, FileStore, imageCacheKey, MemoryStore } from './cache.js';
+
+// Grayscale PNG of a name bar: dark "letters" at the given x positions on a light bar
+function nameBar(letters, width = 240, height = 48, level = undefined) {
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width + 1)] = 0;
+    for (let x = 0; x < width; x++) {
+      const ink = y > 12 && y < 36 && letters.some(l => x >= l && x < l + 8);
+      raw[y * (width + 1) + 1 + x] = ink ? 20 : 220;
+    }
+  }
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 0;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr), chunk('IDAT', deflateSync(raw, { level })), chunk('IEND', Buffer.alloc(0))
+  ]).toString('base64');
+}
+
+test('memory store evicts the least recently used entry', async () => {
+  const store = new MemoryStore(2);
+  await store.set('a', 1, 60000);
+  await store.set('b', 2, 60000);
+  await store.get('a');
+  await store.set('c', 3, 60000);
+  assert.equal(await store.get('a'), 1);
+  assert.equal(await store.get('b'), null);
+  assert.equal(await store.get('c'), 3);
+});
+
+test('expired entries are misses', async () => {
+  const store = new MemoryStore();
+  await store.set('a', 1, -1);
+  assert.equal(await store.get('a'), null);
+});
+
+test('file store persists entries across instances', async () => {
+  const path = join(tmpdir(), `mtg-cache-test-${process.pid}.json`);
+  try {
+    await new FileStore(path).set('name:lightning bolt', { card: { name: 'Lightning Bolt' } }, 60000);
+    assert.deepEqual(await new FileStore(path).get('name:lightning bolt'), { card: { name: 'Lightning Bolt' } });
+    assert.equal(await new FileStore(path).get('name:shock'), null);
+  } finally {
+    rmSync(path, { force: true });
+  }
+});
+
+test('cached computes once and reports hits', async () => {
+  const store = new MemoryStore();
+  let calls = 0;
+  const compute = async () => ({ found: true, n: ++calls });
+  assert.deepEqual(await cached(store, 'k', 60000, compute), { value: { found: true, n: 1 }, hit: false });
+  assert.deepEqual(await cached(store, 'k', 60000, compute), { value: { found: true, n: 1 }, hit: true });
+});
+
+test('a failing store falls back to computing', async () => {
+  const store = { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } };
+  assert.deepEqual(await cached(store, 'k', 60000, async () => 1), { value: 1, hit: false });
+});
+
+test('image keys match identical captures and separate different names', () => {
+  const key = imageCacheKey(nameBar([20, 40, 60, 80]));
+  assert.equal(key, imageCacheKey(nameBar([20, 40, 60, 80])));
+  assert.match(key, /^240x48x1:[0-9a-f]{64}$/);
+  assert.notEqual(key, imageCacheKey(nameBar([20, 40, 60, 80, 100, 180])));
+});
+
+test('image keys ignore the PNG encoding', () => {
+  assert.equal(imageCacheKey(nameBar([20, 40, 60, 80], 240, 48, 1)), imageCacheKey(nameBar([20, 40, 60, 80], 240, 48, 9)));
+});
+
+test('similar but distinct name bars get different image keys', () => {
+  // One letter two pixels over: perceptually near-identical, but possibly a different card
+  assert.notEqual(imageCacheKey(nameBar([20, 40, 60, 80, 100])), imageCacheKey(nameBar([20, 40, 60, 82, 100])));
+});
@@ -0,0 +1,178 @@
+/**
+ * Local card index for the MTG Card Lookup Lambda
+ *
+ * Loads a Scryfall bulk-data snapshot (oracle cards JSON) and resolves OCR text to
+ * cards without a network round-trip. Matching is tolerant of OCR misreads: names are
+ * compared on a "confusable" key (l/I/1, rn/m, 0/O, ...) using edit distance and
+ * per-token matching, so cropped or slightly garbled names still resolve.
+ */
+
+import { readFile } from 'fs/promises';
+
+export const MIN_MATCH_SCORE = 0.75;
+const MIN_SUGGESTION_SCORE = 0.6;
+const SKIPPED_LAYOUTS = new Set(['art_series', 'token', 'double_faced_token', 'emblem']);
+
+// Applied in order after lowercasing; multi-character sequences first
+const OCR_CONFUSABLES = [
+  [/rn/g, 'm'], [/vv/g, 'w'], [/cl/g, 'd'],
+  [/[i1|!]/g, 'l'], [/0/g, 'o'], [/5/g, 's'], [/8/g, 'b']
+];
+
+export function normalizeName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9\s|!]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+export function confusableKey(name) {
+  return OCR_CONFUSABLES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), normalizeName(name));
+}
+
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length ? 1 - editDistance(a, b) / length : 1;
+}
+
+// Score a name resolved elsewhere (e.g. by Scryfall) against the text it was looked up with
+export function nameScore(query, name) {
+  return similarity(confusableKey(query), confusableKey(name));
+}
+
+// Fraction of query tokens that appear (within one edit) in the candidate, in order
+function tokenScore(queryTokens, nameTokens) {
+  let matched = 0;
+  let from = 0;
+  for (const token of queryTokens) {
+    const at = nameTokens.findIndex((t, i) => i >= from &&
+      (t === token || (token.length > 3 && editDistance(t, token) <= 1)));
+    if (at === -1) continue;
+    matched++;
+    from = at + 1;
+  }
+  return matched / Math.max(queryTokens.length, nameTokens.length);
+}
+
+// Keep only the fields the handler reads so a full snapshot fits in Lambda memory
+export function slimCard(c) {
+  const images = uris => uris && { small: uris.small, normal: uris.normal, large: uris.large, art_crop: uris.art_crop };
+  return {
+    id: c.id, oracle_id: c.oracle_id, name: c.name, layout: c.layout, mana_cost: c.mana_cost, type_line: c.type_line,
+    oracle_text: c.oracle_text, power: c.power, toughness: c.toughness, loyalty: c.loyalty, defense: c.defense,
+    keywords: c.keywords, all_parts: c.all_parts?.map(p => ({ id: p.id, name: p.name, component: p.component, type_line: p.type_line })),
+    set: c.set, set_name: c.set_name, collector_number: c.collector_number, mtgo_id: c.mtgo_id,
+    rarity: c.rarity, legalities: c.legalities, prints_search_uri: c.prints_search_uri,
+    frame: c.frame, frame_effects: c.frame_effects, border_color: c.border_color, full_art: c.full_art,
+    prices: c.prices, purchase_uris: c.purchase_uris,
+    image_uris: images(c.image_uris),
+    card_faces: c.card_faces?.map(f => ({
+      name: f.name, mana_cost: f.mana_cost, type_line: f.type_line, oracle_text: f.oracle_text,
+      power: f.power, toughness: f.toughness, loyalty: f.loyalty, defense: f.defense, image_uris: images(f.image_uris)
+    }))
+  };
+}
+
+export class CardIndex {
+  constructor(cards) {
+    this.entries = [];
+    this.exact = new Map();
+    for (const card of cards) {
+      if (SKIPPED_LAYOUTS.has(card.layout)) continue;
+      // Index the full name and each face name ("Fire // Ice", "Fire", "Ice")
+      const names = new Set([card.name, ...(card.card_faces || []).map(f => f.name)]);
+      for (const name of names) {
+        const key = confusableKey(name);
+        const entry = { card, name, key, tokens: key.split(' '), normalized: normalizeName(name) };
+        this.entries.push(entry);
+        if (!this.exact.has(normalizeName(name))) this.exact.set(normalizeName(name), card);
+      }
+    }
+  }
+
+  /**
+   * Rank cards by how well their name matches the (possibly misread) query
+   * @returns {Array<{card: Object, name: string, score: number}>}
+   */
+  search(query, limit = 5) {
+    const normalized = normalizeName(query);
+    if (!normalized) return [];
+    const exact = this.exact.get(normalized);
+    if (exact) return [{ card: exact, name: exact.name, score: 1 }];
+
+    const key = confusableKey(query);
+    const tokens = key.split(' ');
+    const best = new Map();
+    for (const entry of this.entries) {
+      // Cheap length filter before the quadratic edit distance
+      if (Math.abs(entry.key.length - key.length) > Math.max(entry.key.length, key.length) / 2) continue;
+      let score = Math.max(similarity(key, entry.key), 0.95 * tokenScore(tokens, entry.tokens));
+      // Cropped captures: the query is a partial read of the start of the name
+      if (key.length >= 6 && entry.key.startsWith(key)) score = Math.max(score, 0.9);
+      const previous = best.get(entry.card.id);
+      if (!previous || previous.score < score) best.set(entry.card.id, { card: entry.card, name: entry.name, score });
+    }
+    return [...best.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Card names for a partially typed (or partially read) name: names starting with the query,
+   * then names with a word starting with it, then fuzzy matches for misreads
+   * @returns {string[]}
+   */
+  suggest(query, limit = 10) {
+    const normalized = normalizeName(query);
+    if (normalized.length < 2) return [];
+    const names = new Set();
+    const add = entries => {
+      for (const entry of entries.sort((a, b) => a.card.name.localeCompare(b.card.name))) {
+        if (names.size >= limit) return;
+        names.add(entry.card.name);
+      }
+    };
+    add(this.entries.filter(entry => entry.normalized.startsWith(normalized)));
+    add(this.entries.filter(entry => entry.normalized.includes(` ${normalized}`)));
+    if (names.size < limit) {
+      for (const match of this.search(query, limit)) {
+        if (names.size >= limit) break;
+        if (match.score >= MIN_SUGGESTION_SCORE) names.add(match.card.name);
+      }
+    }
+    return [...names];
+  }
+
+  find(query) {
+    const [top] = this.search(query, 1);
+    return top && top.score >= MIN_MATCH_SCORE ? top.card : null;
+  }
+}
+
+let cardIndex;
+
+// Loaded once per container from CARD_DB_PATH; resolves to null when no snapshot is configured
+export function getCardIndex(path = process.env.CARD_DB_PATH) {
+  if (!path) return Promise.resolve(null);
+  if (!cardIndex) {
+    cardIndex = readFile(path, 'utf8').then(json => {
+      const cards = JSON.parse(json);
+      console.log(`Loaded ${cards.length} cards from ${path}`);
+      return new CardIndex(cards.map(slimCard));
+    });
+    cardIndex.catch(e => {
+      console.error('Card index load failed:', e.message);
+      cardIndex = null;
+    });
+  }
+  return cardIndex.catch(() => null);
+}
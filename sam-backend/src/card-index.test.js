@@ -0,0 +1,67 @@
+/**
+ * Tests for the local card index, run offline against fixtures/oracle-cards.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { CardIndex, confusableKey, editDistance, getCardIndex } from './card-index.js';
+
+const fixturePath = new URL('./fixtures/oracle-cards.json', import.meta.url);
+const index = new CardIndex(JSON.parse(readFileSync(fixturePath, 'utf8')));
+
+test('edit distance', () => {
+  assert.equal(editDistance('bolt', 'bolt'), 0);
+  assert.equal(editDistance('bolt', 'boIt'), 1);
+  assert.equal(editDistance('', 'abc'), 3);
+});
+
+test('confusable characters share a key', () => {
+  assert.equal(confusableKey('LIanowar E1ves'), confusableKey('Llanowar Elves'));
+  assert.equal(confusableKey('Counterspeii'), confusableKey('Counterspell'));
+  assert.equal(confusableKey('Lightning Boit'), confusableKey('Lightning Bolt'));
+});
+
+test('exact names resolve regardless of case and accents', () => {
+  assert.equal(index.find('lightning bolt').name, 'Lightning Bolt');
+  assert.equal(index.find('Lim-Dul\'s Vault').name, 'Lim-Dûl\'s Vault');
+});
+
+test('OCR misreads resolve to the intended card', () => {
+  assert.equal(index.find('LIanowar EIves').name, 'Llanowar Elves');
+  assert.equal(index.find('Counterspel').name, 'Counterspell');
+  assert.equal(index.find('Lightnmg Helix').name, 'Lightning Helix');
+});
+
+test('cropped names match by prefix', () => {
+  assert.equal(index.find('Lightning Hel').name, 'Lightning Helix');
+});
+
+test('face names resolve multi-face cards', () => {
+  assert.equal(index.find('Delver of Secrets').name, 'Delver of Secrets // Insectile Aberration');
+  assert.equal(index.find('Fire  Ice').name, 'Fire // Ice');
+});
+
+test('tokens and unrelated text do not match', () => {
+  assert.equal(index.find('Goblin'), null);
+  assert.equal(index.find('Subscribe for more'), null);
+});
+
+test('search ranks similar names', () => {
+  const results = index.search('Lightning', 2);
+  assert.deepEqual(results.map(r => r.card.name).sort(), ['Lightning Bolt', 'Lightning Helix']);
+});
+
+test('suggestions complete partial names, prefixes first', () => {
+  assert.deepEqual(index.suggest('light'), ['Lightning Bolt', 'Lightning Helix']);
+  assert.deepEqual(index.suggest('ice'), ['Fire // Ice']);
+  assert.deepEqual(index.suggest('Counterspel'), ['Counterspell']);
+  assert.deepEqual(index.suggest('Lightning', 1), ['Lightning Bolt']);
+  assert.deepEqual(index.suggest('l'), []);
+});
+
+test('getCardIndex loads a snapshot file and returns null when unset', async () => {
+  assert.equal(await getCardIndex(''), null);
+  const loaded = await getCardIndex(fixturePath.pathname);
+  assert.equal(loaded.find('Counterspell').name, 'Counterspell');
+});
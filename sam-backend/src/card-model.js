@@ -0,0 +1,78 @@
+/**
+ * Card model for the MTG Card Lookup Lambda
+ *
+ * Converts Scryfall cards into the shape the extension renders. Multi-face cards keep
+ * every face's name, cost, text, type and image, and `presentation` tells the overlay
+ * how to show the layout: split and flip cards are one image to rotate, transform-style
+ * cards have an image per face to flip between, and meld cards come with their partner
+ * and melded result from `all_parts`.
+ */
+
+// Same base as index.js, so related-card images also come from the stub server in tests and local development
+const SCRYFALL_API_BASE = process.env.SCRYFALL_API_BASE || 'https://api.scryfall.com';
+
+// Layouts presented under their own name (split cards are checked for aftermath first)
+const NAMED_PRESENTATIONS = new Set(['flip', 'battle', 'meld']);
+
+export function toPrices(p) {
+  return p && { usd: p.usd, usdFoil: p.usd_foil, eur: p.eur, tix: p.tix };
+}
+
+function imageUrl(uris) {
+  return uris?.normal || uris?.large;
+}
+
+/**
+ * How the overlay shows the card: 'single', 'split', 'aftermath' (second half rotated the
+ * other way), 'flip' (upside down), 'transform' (one image per face), 'battle' (transform
+ * with a sideways front) or 'meld'
+ */
+export function getPresentation(c) {
+  if (c.layout === 'split') return c.keywords?.includes('Aftermath') ? 'aftermath' : 'split';
+  if (NAMED_PRESENTATIONS.has(c.layout)) return c.layout;
+  if (!c.image_uris && c.card_faces?.[1]?.image_uris) return 'transform';
+  return 'single';
+}
+
+function toCardFace(f, c) {
+  return {
+    name: f.name, manaCost: f.mana_cost, type: f.type_line, oracleText: f.oracle_text,
+    power: f.power, toughness: f.toughness, loyalty: f.loyalty, defense: f.defense,
+    // Faces printed on one image (split, flip, adventure) share the card's image
+    imageUrl: imageUrl(f.image_uris || c.image_uris)
+  };
+}
+
+// Other cards the card refers to (meld partners and results, tokens it makes, combo pieces)
+function toRelatedCards(c) {
+  return (c.all_parts || []).filter(part => part.id !== c.id && part.name !== c.name).map(part => ({
+    id: part.id, name: part.name, component: part.component, type: part.type_line,
+    // Scryfall redirects to the image, so related cards don't need a lookup each
+    imageUrl: `${SCRYFALL_API_BASE}/cards/${encodeURIComponent(part.id)}?format=image&version=normal`
+  }));
+}
+
+export function toCardResult(c) {
+  const faces = (c.card_faces || [c]).map(f => toCardFace(f, c));
+  const imageUris = c.image_uris || c.card_faces?.[0]?.image_uris;
+  const presentation = getPresentation(c);
+  const result = {
+    id: c.id, name: c.name, imageUrl: imageUrl(imageUris), thumbnailUrl: imageUris?.small,
+    layout: c.layout, presentation, set: c.set, setName: c.set_name, collectorNumber: c.collector_number, mtgoId: c.mtgo_id,
+    oracleId: c.oracle_id, printsSearchUri: c.prints_search_uri,
+    frame: c.frame, frameEffects: c.frame_effects, borderColor: c.border_color, fullArt: c.full_art,
+    type: c.type_line,
+    // Split and adventure cards have no card-level text; every face's is joined like Scryfall's names
+    oracleText: c.oracle_text ?? faces.map(f => f.oracleText).filter(Boolean).join('\n//\n'),
+    manaCost: c.mana_cost || faces[0].manaCost, rarity: c.rarity,
+    faces,
+    relatedCards: toRelatedCards(c),
+    legalities: c.legalities,
+    // Snapshot prices for local results; withPrices() refreshes them from the cache or Scryfall
+    prices: toPrices(c.prices), purchaseUris: c.purchase_uris
+  };
+  if (presentation === 'transform' || presentation === 'battle') {
+    result.backImageUrl = faces[1].imageUrl;
+  }
+  return result;
+}
@@ -0,0 +1,73 @@
+/**
+ * Tests for the layout-aware card model (no network access required)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { getPresentation, toCardResult } from './card-model.js';
+
+const cards = JSON.parse(readFileSync(new URL('./fixtures/oracle-cards.json', import.meta.url), 'utf8'));
+const byName = name => cards.find(c => c.name === name);
+
+const image = name => ({ small: `${name}-small`, normal: `${name}-normal` });
+
+test('single-faced cards have one face with the card image', () => {
+  const card = toCardResult(byName('Lightning Bolt'));
+  assert.equal(card.presentation, 'single');
+  assert.equal(card.faces.length, 1);
+  assert.equal(card.faces[0].imageUrl, card.imageUrl);
+  assert.equal(card.backImageUrl, undefined);
+});
+
+test('split cards keep every half and join their text', () => {
+  const card = toCardResult(byName('Fire // Ice'));
+  assert.equal(card.presentation, 'split');
+  assert.deepEqual(card.faces.map(f => f.name), ['Fire', 'Ice']);
+  assert.deepEqual(card.faces.map(f => f.manaCost), ['{1}{R}', '{1}{U}']);
+  assert.ok(card.oracleText.includes('\n//\n'));
+  assert.equal(card.faces[1].imageUrl, card.imageUrl);
+});
+
+test('transform cards have an image per face', () => {
+  const card = toCardResult(byName('Delver of Secrets // Insectile Aberration'));
+  assert.equal(card.presentation, 'transform');
+  assert.notEqual(card.faces[0].imageUrl, card.faces[1].imageUrl);
+  assert.equal(card.backImageUrl, card.faces[1].imageUrl);
+});
+
+test('layouts map to presentations', () => {
+  assert.equal(getPresentation({ layout: 'split', keywords: ['Aftermath'], card_faces: [{}, {}] }), 'aftermath');
+  assert.equal(getPresentation({ layout: 'flip', image_uris: {}, card_faces: [{}, {}] }), 'flip');
+  assert.equal(getPresentation({ layout: 'adventure', image_uris: {}, card_faces: [{}, {}] }), 'single');
+  assert.equal(getPresentation({ layout: 'modal_dfc', card_faces: [{ image_uris: {} }, { image_uris: {} }] }), 'transform');
+});
+
+test('battles keep their defense and back face', () => {
+  const card = toCardResult({
+    id: 'b', name: 'Invasion of Zendikar // Awakened Skyclave', layout: 'battle',
+    card_faces: [
+      { name: 'Invasion of Zendikar', type_line: 'Battle — Siege', defense: '3', image_uris: image('front') },
+      { name: 'Awakened Skyclave', type_line: 'Creature — Elemental', power: '4', toughness: '4', image_uris: image('back') }
+    ]
+  });
+  assert.equal(card.presentation, 'battle');
+  assert.equal(card.faces[0].defense, '3');
+  assert.equal(card.imageUrl, 'front-normal');
+  assert.equal(card.backImageUrl, 'back-normal');
+});
+
+test('meld cards list their partner and result', () => {
+  const card = toCardResult({
+    id: 'g', name: 'Gisela, the Broken Blade', layout: 'meld', image_uris: image('gisela'),
+    all_parts: [
+      { id: 'g', name: 'Gisela, the Broken Blade', component: 'meld_part' },
+      { id: 'b', name: 'Bruna, the Fading Light', component: 'meld_part' },
+      { id: 'r', name: 'Brisela, Voice of Nightmares', component: 'meld_result' }
+    ]
+  });
+  assert.equal(card.presentation, 'meld');
+  assert.deepEqual(card.relatedCards.map(p => [p.name, p.component]),
+    [['Bruna, the Fading Light', 'meld_part'], ['Brisela, Voice of Nightmares', 'meld_result']]);
+  assert.match(card.relatedCards[1].imageUrl, /\/cards\/r\?format=image/);
+});
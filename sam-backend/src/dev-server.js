@@ -0,0 +1,79 @@
+/**
+ * Local development server for the MTG Card Lookup Lambda
+ *
+ * Serves the handler's routes over HTTP the way API Gateway does, so the extension (or
+ * curl) can use a local backend:
+ *   npm run dev                    # real Gemini and Scryfall, GEMINI_API_KEY from the env
+ *   STUB_APIS=1 npm run dev        # stub Gemini and Scryfall from fixtures/, no key or network
+ * PORT sets the port (default 3000). Install tokens and quotas are off unless AUTH_SECRET is set.
+ */
+
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+
+// Path -> HTTP method, as configured in template.yaml
+const ROUTES = {
+  '/lookup': 'POST',
+  '/lookup-by-name': 'POST',
+  '/lookup-frame': 'POST',
+  '/autocomplete': 'POST',
+  '/search': 'POST',
+  '/health': 'GET',
+  '/register': 'POST'
+};
+// API Gateway's payload limit
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+function send(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP server passing each request to the handler as an API Gateway proxy event
+ * The handler is passed in so callers can set the env (stub API URLs) before importing index.js
+ */
+export function createDevServer(handler) {
+  return createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (ROUTES[pathname] !== req.method) return send(res, 404, { error: 'Not found' });
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) return send(res, 413, { error: 'Request too large' });
+      chunks.push(chunk);
+    }
+
+    try {
+      const result = await handler({
+        path: pathname, httpMethod: req.method, headers: req.headers, body: Buffer.concat(chunks).toString('utf8')
+      });
+      // Headers exactly as the handler sent them; like the deployed API, no CORS is added
+      res.writeHead(result.statusCode, result.headers);
+      res.end(result.body);
+    } catch (e) {
+      // The handler maps its own errors; this is a bug in it
+      console.error('Unhandled handler error:', e);
+      send(res, 500, { error: e.message });
+    }
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  if (process.env.STUB_APIS) {
+    const { startGeminiStub, startScryfallStub } = await import('./stub-servers.js');
+    process.env.GEMINI_API_BASE = (await startGeminiStub()).url;
+    process.env.SCRYFALL_API_BASE = (await startScryfallStub()).url;
+    process.env.GEMINI_API_KEY = 'stub';
+    process.env.OCR_PROVIDERS = 'gemini';
+  }
+  // Local development runs without install tokens unless AUTH_SECRET is set
+  if (!process.env.AUTH_SECRET) process.env.AUTH_DISABLED ??= '1';
+  const { handler } = await import('./index.js');
+  const port = Number(process.env.PORT) || 3000;
+  createDevServer(handler).listen(port, () => {
+    console.log(`MTG Card Lookup backend on http://localhost:${port}${process.env.STUB_APIS ? ' (stub APIs)' : ''}`);
+  });
+}
@@ -0,0 +1,183 @@
+/**
+ * Image helpers for the MTG Card Lookup Lambda
+ */
+
+import { inflateSync } from 'zlib';
+
+/**
+ * Read the format and dimensions from a PNG or JPEG header
+ * @returns {{mimeType: string, width: number, height: number}|null}
+ */
+export function getImageInfo(buffer) {
+  if (buffer.length >= 24 && buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
+    return { mimeType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    // Walk the JPEG segments until a start-of-frame marker (SOF0-SOF15, excluding DHT/JPG/DAC)
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xFF) return null;
+      const marker = buffer[offset + 1];
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return { mimeType: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// Samples per pixel by color type: grayscale, RGB, palette index, grayscale + alpha, RGBA
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decode a non-interlaced PNG to raw 8-bit pixels; palette images are expanded to RGB,
+ * 16-bit samples keep their high byte and 1-4 bit grayscale is scaled up to 0-255
+ * @returns {{width: number, height: number, channels: number, data: Buffer}}
+ */
+export function decodePNG(buffer) {
+  const info = getImageInfo(buffer);
+  if (info?.mimeType !== 'image/png') throw new Error('Not a PNG image');
+  const bitDepth = buffer[24];
+  const colorType = buffer[25];
+  const channels = PNG_CHANNELS[colorType];
+  if (![1, 2, 4, 8, 16].includes(bitDepth) || !channels || buffer[28] !== 0) throw new Error('Unsupported PNG format');
+
+  const idat = [];
+  let palette = null;
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    if (type === 'IDAT') idat.push(buffer.subarray(offset + 8, offset + 8 + length));
+    if (type === 'PLTE') palette = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  if (colorType === 3 && !palette) throw new Error('Unsupported PNG format');
+  const { width, height } = info;
+  const bytesPerPixel = Math.max(1, channels * bitDepth / 8);
+  const stride = Math.ceil(width * channels * bitDepth / 8);
+  // Image data never inflates past the header's dimensions (a filter byte per row); stopping
+  // there keeps a small compressed upload from expanding to gigabytes (a decompression bomb)
+  let raw;
+  try {
+    raw = inflateSync(Buffer.concat(idat), { maxOutputLength: (stride + 1) * height });
+  } catch {
+    throw new Error('Invalid PNG image data');
+  }
+
+  // Undo the per-row filters (None, Sub, Up, Average, Paeth), which work on bytes
+  const bytes = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? bytes[out + x - bytesPerPixel] : 0;
+      const up = y > 0 ? bytes[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? bytes[out - stride + x - bytesPerPixel] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      bytes[out + x] = (row[x] + predictor) & 0xFF;
+    }
+  }
+  if (bitDepth === 8 && colorType !== 3) return { width, height, channels, data: bytes };
+
+  // Unpack to one byte per sample
+  const outChannels = colorType === 3 ? 3 : channels;
+  const data = Buffer.alloc(width * height * outChannels);
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < width * channels; i++) {
+      let sample;
+      if (bitDepth === 16) sample = bytes[y * stride + i * 2];
+      else {
+        const bit = i * bitDepth;
+        sample = (bytes[y * stride + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+      }
+      if (colorType === 3) palette.copy(data, (y * width + i) * 3, sample * 3, sample * 3 + 3);
+      else data[y * width * channels + i] = bitDepth < 8 ? Math.round(sample * 255 / maxSample) : sample;
+    }
+  }
+  return { width, height, channels: outChannels, data };
+}
+
+const HASH_SIZE = 32;
+const HASH_BITS = 8;
+
+// Area-average a region of the image down to a size x size grayscale grid
+function grayscaleGrid({ width, channels, data }, crop, size) {
+  const grid = new Float64Array(size * size);
+  for (let gy = 0; gy < size; gy++) {
+    for (let gx = 0; gx < size; gx++) {
+      const x0 = Math.floor(crop.x + gx * crop.width / size);
+      const x1 = Math.max(x0 + 1, Math.floor(crop.x + (gx + 1) * crop.width / size));
+      const y0 = Math.floor(crop.y + gy * crop.height / size);
+      const y1 = Math.max(y0 + 1, Math.floor(crop.y + (gy + 1) * crop.height / size));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * channels;
+          sum += channels >= 3 ? 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] : data[i];
+        }
+      }
+      grid[gy * size + gx] = sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return grid;
+}
+
+/**
+ * 64-bit DCT perceptual hash (pHash) of raw pixels, as a 16-character hex string
+ * @param {{width: number, height: number, channels: number, data: Uint8Array}} image - Decoded pixels
+ * @param {{x: number, y: number, width: number, height: number}} crop - Region to hash (defaults to the whole image)
+ */
+export function perceptualHash(image, crop = { x: 0, y: 0, width: image.width, height: image.height }) {
+  const grid = grayscaleGrid(image, crop, HASH_SIZE);
+  // Low-frequency 8x8 corner of the 2D DCT, skipping the DC term
+  const coefficients = [];
+  for (let v = 0; v < HASH_BITS; v++) {
+    for (let u = 0; u < HASH_BITS; u++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+          sum += grid[y * HASH_SIZE + x] *
+            Math.cos((2 * x + 1) * u * Math.PI / (2 * HASH_SIZE)) *
+            Math.cos((2 * y + 1) * v * Math.PI / (2 * HASH_SIZE));
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+  const median = [...coefficients.slice(1)].sort((a, b) => a - b)[coefficients.length / 2 - 1];
+  let hex = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    const nibble = coefficients.slice(i, i + 4).reduce((n, c, j) => n | ((i + j > 0 && c > median ? 1 : 0) << (3 - j)), 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
@@ -0,0 +1,116 @@
+/**
+ * Tests for PNG decoding, perceptual hashing and card-art matching
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'zlib';
+import { matchArt } from './art-index.js';
+import { decodePNG, getImageInfo, hammingDistance, perceptualHash } from './image.js';
+
+// Synthetic "art": smooth interference patterns seeded differently per card
+function art(seed, width = 120, height = 90) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = x / width * 6;
+      const w = y / height * 6;
+      const v = 128 + 50 * Math.sin(u * (1 + seed % 3) + seed) * Math.cos(w * (2 + seed % 2)) +
+        40 * Math.sin((u + w) * seed / 2) + 30 * Math.cos(u - 2 * w + seed);
+      data.fill(Math.max(0, Math.min(255, Math.round(v))), (y * width + x) * 3, (y * width + x + 1) * 3);
+    }
+  }
+  return { width, height, channels: 3, data };
+}
+
+// Surround an image with a flat border, like card frame pixels around the art
+function framed(image, border) {
+  const width = image.width + border * 2;
+  const height = image.height + border * 2;
+  const data = Buffer.alloc(width * height * 3, 40);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(data, ((y + border) * width + border) * 3, y * image.width * 3, (y + 1) * image.width * 3);
+  }
+  return { width, height, channels: 3, data };
+}
+
+function chunk(type, body) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), body, Buffer.alloc(4)]);
+}
+
+// PNG file from already filtered scanlines (each starting with its filter byte)
+function pngFile(width, height, bitDepth, colorType, scanlines, extraChunks = []) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([bitDepth, colorType, 0, 0, 0], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header), ...extraChunks, chunk('IDAT', deflateSync(scanlines)), chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function encodePNG({ width, height, data }, filter = 0) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = data.subarray(y * width * 3, (y + 1) * width * 3);
+    const filtered = Buffer.from(row);
+    if (filter === 1) for (let x = 3; x < row.length; x++) filtered[x] = (row[x] - row[x - 3]) & 0xFF;
+    rows.push(Buffer.from([filter]), filtered);
+  }
+  return pngFile(width, height, 8, 2, Buffer.concat(rows));
+}
+
+test('reads PNG dimensions', () => {
+  assert.deepEqual(getImageInfo(encodePNG(art(1))), { mimeType: 'image/png', width: 120, height: 90 });
+  assert.equal(getImageInfo(Buffer.from('not an image')), null);
+});
+
+test('decodes filtered PNG rows', () => {
+  const image = art(2);
+  assert.deepEqual(decodePNG(encodePNG(image, 0)).data, image.data);
+  assert.deepEqual(decodePNG(encodePNG(image, 1)).data, image.data);
+});
+
+test('decodes palette, packed and 16-bit PNGs to 8-bit samples', () => {
+  const palette = chunk('PLTE', Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]));
+  // 8-bit indexed, 3x1: indices 0, 2, 3
+  let decoded = decodePNG(pngFile(3, 1, 8, 3, Buffer.from([0, 0, 2, 3]), [palette]));
+  assert.equal(decoded.channels, 3);
+  assert.deepEqual([...decoded.data], [255, 0, 0, 0, 0, 255, 10, 20, 30]);
+
+  // 2-bit indexed, 3x1: indices 1, 3, 0 packed into one byte (01 11 00 00)
+  decoded = decodePNG(pngFile(3, 1, 2, 3, Buffer.from([0, 0b01110000]), [palette]));
+  assert.deepEqual([...decoded.data], [0, 255, 0, 10, 20, 30, 255, 0, 0]);
+
+  // 16-bit grayscale + alpha, 2x1, with the Sub filter
+  decoded = decodePNG(pngFile(2, 1, 16, 4, Buffer.from([1, 0x80, 0x01, 0xFF, 0xFF, 0x10, 0x00, 0x00, 0x00])));
+  assert.equal(decoded.channels, 2);
+  assert.deepEqual([...decoded.data], [0x80, 0xFF, 0x90, 0xFF]);
+
+  // 1-bit grayscale scales to 0/255
+  decoded = decodePNG(pngFile(4, 1, 1, 0, Buffer.from([0, 0b10100000])));
+  assert.deepEqual([...decoded.data], [255, 0, 255, 0]);
+});
+
+test('PNG data inflating past the image dimensions is rejected', () => {
+  // 10x10 grayscale needs 110 bytes; 10 MB of zeros compresses to about 10 KB
+  assert.throws(() => decodePNG(pngFile(10, 10, 8, 0, Buffer.alloc(10 * 1024 * 1024))), /Invalid PNG image data/);
+  assert.equal(decodePNG(pngFile(10, 10, 8, 0, Buffer.alloc(110))).data.length, 100);
+});
+
+test('perceptual hash is stable under scaling and distinct across images', () => {
+  const small = perceptualHash(art(1, 120, 90));
+  assert.equal(small.length, 16);
+  assert.ok(hammingDistance(small, perceptualHash(art(1, 240, 180))) <= 4);
+  assert.ok(hammingDistance(small, perceptualHash(art(3))) > 20);
+});
+
+test('matchArt finds the card whose art is inside the capture', () => {
+  const entries = [1, 3, 5].map(seed => ({ id: `id-${seed}`, name: `Card ${seed}`, hash: perceptualHash(art(seed)) }));
+  const matches = matchArt(entries, framed(art(3), 15));
+  assert.equal(matches[0].name, 'Card 3');
+  assert.ok(matches[0].score > 0.8);
+});
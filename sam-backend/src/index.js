@@ -2,127 +2,460 @@
  * MTG Card Lookup Lambda Handler
  */
 
-const EXPECTED_WIDTH = 250;
-const EXPECTED_HEIGHT = 120;
-const GEMINI_MODEL = 'gemini-2.5-flash-lite';
-const GEMINI_API_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
-const SCRYFALL_API_BASE = 'https://api.scryfall.com';
+import { readFileSync } from 'fs';
+import { getArtIndex, matchArt } from './art-index.js';
+import { authorize, checkOrigin, consumeOcrQuota, consumeScanQuota, getAllowedExtensionIds, register } from './auth.js';
+import { cached, getCache, imageCacheKey } from './cache.js';
+import { getCardIndex, MIN_MATCH_SCORE, nameScore, normalizeName } from './card-index.js';
+import { toCardResult, toPrices } from './card-model.js';
+import { decodePNG, getImageInfo } from './image.js';
+import { getOCRProviders, performFrameOCR, performOCR, performPrintingOCR, validateOCRProviders } from './ocr.js';
+import { normalizePrintingHints, pickPrinting } from './printings.js';
+
+// Reported by /health; bump API_VERSION when a request or response change breaks older extensions
+const API_VERSION = 1;
+const { version: VERSION } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+// Name captures are regionWidth x regionHeight at captureScale, as bounded by the extension's options
+const MIN_NAME_WIDTH = 50;
+const MIN_NAME_HEIGHT = 20;
+const MAX_NAME_WIDTH = 1600;
+const MAX_NAME_HEIGHT = 800;
+const MIN_FRAME_WIDTH = 320;
+const MIN_FRAME_HEIGHT = 180;
+const MAX_FRAME_WIDTH = 1920;
+const MAX_FRAME_HEIGHT = 1920;
+const MIN_ART_SIZE = 100;
+const MAX_ART_SIZE = 1000;
+// Printing captures cover the whole card below the name bar (5:7) at up to 4x
+const MAX_PRINTING_WIDTH = 1000;
+const MAX_PRINTING_HEIGHT = 1400;
+// Cards with more printings than this (basic lands) only have their newest ones considered
+const MAX_PRINTING_PAGES = 2;
+// SCRYFALL_API_BASE points at a stub server in tests and local development (see stub-servers.js)
+const SCRYFALL_API_BASE = process.env.SCRYFALL_API_BASE || 'https://api.scryfall.com';
 const SCRYFALL_RATE_LIMIT_MS = 100;
+const MAX_CANDIDATES = 5;
+const MAX_SUGGESTIONS = 10;
+// Scryfall rejects longer queries
+const MAX_SEARCH_QUERY_LENGTH = 1000;
+const MIN_CANDIDATE_SCORE = 0.6;
+// Alternative OCR readings are less likely than the first one
+const ALTERNATE_READING_WEIGHT = 0.9;
+const PRICE_TTL_MS = Number(process.env.PRICE_TTL_SECONDS || 6 * 60 * 60) * 1000;
+// Captures repeat while a video is paused; card data only changes with new printings or errata
+const IMAGE_CACHE_TTL_MS = Number(process.env.IMAGE_CACHE_TTL_SECONDS || 60 * 60) * 1000;
+const NAME_CACHE_TTL_MS = Number(process.env.NAME_CACHE_TTL_SECONDS || 24 * 60 * 60) * 1000;
 
-let lastScryfallCall = 0;
+validateOCRProviders();
+
+// Monotonic, so a wall-clock change can't stall Scryfall calls
+let lastScryfallCall = -Infinity;
+// Scryfall card ID -> { prices, purchaseUris, expires }, per container
+const priceCache = new Map();
 
 async function rateLimitScryfall() {
-  const now = Date.now();
+  const now = performance.now();
   const elapsed = now - lastScryfallCall;
   if (elapsed < SCRYFALL_RATE_LIMIT_MS) {
     await new Promise(resolve => setTimeout(resolve, SCRYFALL_RATE_LIMIT_MS - elapsed));
   }
-  lastScryfallCall = Date.now();
+  lastScryfallCall = performance.now();
 }
 
-function validateImage(base64Image) {
+export function validateImage(base64Image) {
   try {
-    const buffer = Buffer.from(base64Image, 'base64');
-    if (buffer.length < 24 || buffer[0] !== 0x89 || buffer[1] !== 0x50 ||
-        buffer[2] !== 0x4E || buffer[3] !== 0x47) {
-      return false;
-    }
-    const width = buffer.readUInt32BE(16);
-    const height = buffer.readUInt32BE(20);
-    return width === EXPECTED_WIDTH && height === EXPECTED_HEIGHT;
+    const info = getImageInfo(Buffer.from(base64Image, 'base64'));
+    return info?.mimeType === 'image/png' &&
+      info.width >= MIN_NAME_WIDTH && info.height >= MIN_NAME_HEIGHT &&
+      info.width <= MAX_NAME_WIDTH && info.height <= MAX_NAME_HEIGHT;
   } catch {
     return false;
   }
 }
 
-async function performOCR(base64Image, apiKey) {
-  const requestBody = {
-    contents: [{
-      parts: [
-        { text: 'Extract Magic: The Gathering card names visible in this image. Return ONLY the single card name closest to center. If none visible, respond NONE.' },
-        { inline_data: { mime_type: 'image/png', data: base64Image } }
-      ]
-    }]
-  };
-  const resp = await fetch(`${GEMINI_API_ENDPOINT}?key=${encodeURIComponent(apiKey)}`, {
-    method: 'POST', headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(requestBody)
-  });
-  if (!resp.ok) {
-    const errorBody = await resp.text();
-    console.error('Gemini API error response:', errorBody);
-    if (resp.status === 401 || resp.status === 403) throw new Error('Invalid Gemini API key');
-    if (resp.status === 429) throw new Error('Rate limit exceeded');
-    throw new Error(`Gemini API error: ${resp.status} - ${errorBody}`);
+// Art captures are larger PNG regions around the card art, within a bounded size
+function validateArtImage(base64Image) {
+  try {
+    const info = getImageInfo(Buffer.from(base64Image, 'base64'));
+    return info?.mimeType === 'image/png' &&
+      info.width >= MIN_ART_SIZE && info.height >= MIN_ART_SIZE &&
+      info.width <= MAX_ART_SIZE && info.height <= MAX_ART_SIZE;
+  } catch {
+    return false;
   }
-  const data = await resp.json();
-  const text = data.candidates?.[0]?.content?.parts?.filter(p => p.text).map(p => p.text).join(' ').trim();
-  return (!text || text === 'NONE') ? null : text;
 }
 
-function cleanCardName(text) {
+// Printing captures are PNG regions covering the card, for reading its set code and frame
+function validatePrintingImage(base64Image) {
+  try {
+    const info = getImageInfo(Buffer.from(base64Image, 'base64'));
+    return info?.mimeType === 'image/png' &&
+      info.width >= MIN_ART_SIZE && info.height >= MIN_ART_SIZE &&
+      info.width <= MAX_PRINTING_WIDTH && info.height <= MAX_PRINTING_HEIGHT;
+  } catch {
+    return false;
+  }
+}
+
+// Base64 image data from a request field, without a data: URL prefix; null unless it's a string
+function imageField(value) {
+  return typeof value === 'string' ? value.replace(/^data:image\/\w+;base64,/, '') : null;
+}
+
+// Whole video frames may be PNG or JPEG within a bounded size; returns the mime type or null
+function validateFrame(base64Image) {
+  try {
+    const info = getImageInfo(Buffer.from(base64Image, 'base64'));
+    if (!info || info.width < MIN_FRAME_WIDTH || info.height < MIN_FRAME_HEIGHT ||
+        info.width > MAX_FRAME_WIDTH || info.height > MAX_FRAME_HEIGHT) {
+      return null;
+    }
+    return info.mimeType;
+  } catch {
+    return null;
+  }
+}
+
+export function cleanCardName(text) {
   if (!text) return '';
   return text.trim().replace(/\s+/g, ' ').replace(/[^a-zA-Z0-9\s\-']/g, '').substring(0, 50);
 }
 
-async function lookupCard(cardName) {
+// Scryfall search syntax needs operators and quotes (t:creature c>=g "draw a card"), so search
+// queries can't go through cleanCardName; only printable text within Scryfall's limit is accepted
+function cleanSearchQuery(text) {
+  if (typeof text !== 'string') return '';
+  const query = text.trim().replace(/\s+/g, ' ');
+  if (query.length > MAX_SEARCH_QUERY_LENGTH || /\p{C}/u.test(query)) return '';
+  return query;
+}
+
+function cachePrices(c) {
+  if (!c.prices) return;
+  priceCache.set(c.id, { prices: toPrices(c.prices), purchaseUris: c.purchase_uris, expires: Date.now() + PRICE_TTL_MS });
+}
+
+async function fetchCardByName(cardName) {
   await rateLimitScryfall();
   const resp = await fetch(`${SCRYFALL_API_BASE}/cards/named?fuzzy=${encodeURIComponent(cardName)}`);
   if (!resp.ok) {
-    if (resp.status === 404) throw new Error(`Card not found: "${cardName}"`);
+    if (resp.status === 404) return null;
     throw new Error(`Scryfall API error: ${resp.status}`);
   }
   const c = await resp.json();
-  // Handle double-faced cards (transform, modal_dfc) which have images in card_faces
-  const isDoubleFaced = c.card_faces && !c.image_uris;
-  const imageUris = c.image_uris || c.card_faces?.[0]?.image_uris;
-  const result = {
-    name: c.name, imageUrl: imageUris?.normal || imageUris?.large,
-    set: c.set, setName: c.set_name, type: c.type_line,
-    oracleText: c.oracle_text || c.card_faces?.[0]?.oracle_text,
-    manaCost: c.mana_cost || c.card_faces?.[0]?.mana_cost, rarity: c.rarity
+  cachePrices(c);
+  return c;
+}
+
+// Attach current prices, refetching the card from Scryfall once the cached prices expire
+async function withPrices(card) {
+  let cached = priceCache.get(card.id);
+  if (!cached || cached.expires < Date.now()) {
+    try {
+      await rateLimitScryfall();
+      const resp = await fetch(`${SCRYFALL_API_BASE}/cards/${encodeURIComponent(card.id)}`);
+      if (!resp.ok) throw new Error(`Scryfall API error: ${resp.status}`);
+      cachePrices(await resp.json());
+      cached = priceCache.get(card.id);
+    } catch (e) {
+      // Stale or snapshot prices are better than failing the lookup
+      console.error('Price refresh failed:', e.message);
+    }
+  }
+  return cached ? { ...card, prices: cached.prices, purchaseUris: cached.purchaseUris } : card;
+}
+
+// Name completions from the local index, or Scryfall's autocomplete when no snapshot is configured
+async function suggestCardNames(query) {
+  const index = await getCardIndex();
+  if (index) return index.suggest(query, MAX_SUGGESTIONS);
+  await rateLimitScryfall();
+  const resp = await fetch(`${SCRYFALL_API_BASE}/cards/autocomplete?q=${encodeURIComponent(query)}`);
+  if (!resp.ok) throw new Error(`Scryfall API error: ${resp.status}`);
+  return (await resp.json()).data.slice(0, MAX_SUGGESTIONS);
+}
+
+// One page of Scryfall search results; invalid queries throw with Scryfall's explanation and status 400
+async function searchCards(query, page) {
+  await rateLimitScryfall();
+  const resp = await fetch(`${SCRYFALL_API_BASE}/cards/search?q=${encodeURIComponent(query)}&page=${page}`);
+  const data = await resp.json().catch(() => ({}));
+  if (resp.status === 404) return { cards: [], totalCards: 0, hasMore: false, page };
+  if (!resp.ok) {
+    const error = new Error(resp.status === 400 ? data.details || 'Invalid search query' : `Scryfall API error: ${resp.status}`);
+    error.status = resp.status === 400 ? 400 : 500;
+    throw error;
+  }
+  data.data.forEach(cachePrices);
+  return { cards: data.data.map(toCardResult), totalCards: data.total_cards, hasMore: data.has_more, page };
+}
+
+// Resolve a name through the cache, then the local bulk-data snapshot, only calling Scryfall on a miss
+// Unknown names are cached too; prices are attached after the cache so they stay fresh
+async function lookupCardCached(cardName) {
+  const { value, hit } = await cached(getCache(), `name:${normalizeName(cardName)}`, NAME_CACHE_TTL_MS, async () => {
+    const index = await getCardIndex();
+    const c = index?.find(cardName) || await fetchCardByName(cardName);
+    return { card: c ? toCardResult(c) : null };
+  });
+  if (!value.card) throw new Error(`Card not found: "${cardName}"`);
+  return { card: await withPrices(value.card), hit };
+}
+
+export async function lookupCard(cardName) {
+  return (await lookupCardCached(cardName)).card;
+}
+
+// Every printing of a card, newest first, from its prints_search_uri
+async function fetchPrintings(card) {
+  let url = card.printsSearchUri ||
+    `${SCRYFALL_API_BASE}/cards/search?order=released&unique=prints&q=${encodeURIComponent(`!"${card.name}"`)}`;
+  const printings = [];
+  for (let page = 0; url && page < MAX_PRINTING_PAGES; page++) {
+    await rateLimitScryfall();
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`Scryfall API error: ${resp.status}`);
+    const data = await resp.json();
+    printings.push(...data.data);
+    url = data.has_more ? data.next_page : null;
+  }
+  return printings;
+}
+
+// Switch to the printing matching what OCR read off the card (set code, collector number, frame)
+async function identifyPrinting(card, base64Image, providers) {
+  try {
+    const hints = normalizePrintingHints(await performPrintingOCR(base64Image, providers));
+    const printing = hints && pickPrinting(await fetchPrintings(card), hints, card.id);
+    if (!printing) return { card, hints };
+    cachePrices(printing);
+    return { card: toCardResult(printing), hints };
+  } catch (e) {
+    // The default printing is still the right card
+    console.error('Printing identification failed:', e.message);
+    return { card };
+  }
+}
+
+// Rank the cards matching any of the OCR readings, best first
+async function findCandidates(readings) {
+  const index = await getCardIndex();
+  const candidates = new Map();
+  const add = (c, score) => {
+    score = Math.round(score * 100) / 100;
+    if (score >= MIN_CANDIDATE_SCORE && !(candidates.get(c.name)?.score >= score)) {
+      candidates.set(c.name, { card: toCardResult(c), score });
+    }
   };
-  // Add back face for double-faced cards
-  if (isDoubleFaced && c.card_faces[1]?.image_uris) {
-    result.backImageUrl = c.card_faces[1].image_uris.normal || c.card_faces[1].image_uris.large;
+  readings.forEach((reading, i) => {
+    const weight = i === 0 ? 1 : ALTERNATE_READING_WEIGHT;
+    for (const match of index?.search(reading, MAX_CANDIDATES) || []) add(match.card, match.score * weight);
+  });
+  // Scryfall fallback when the local index is missing or has no confident match
+  if (![...candidates.values()].some(c => c.score >= MIN_MATCH_SCORE)) {
+    for (const [i, reading] of readings.entries()) {
+      const c = await fetchCardByName(reading);
+      // Scryfall only returns confident fuzzy matches, so never rank one below the match threshold
+      if (c) add(c, Math.max(nameScore(reading, c.name), MIN_MATCH_SCORE) * (i === 0 ? 1 : ALTERNATE_READING_WEIGHT));
+    }
   }
-  return result;
+  const ranked = [...candidates.values()].sort((a, b) => b.score - a.score).slice(0, MAX_CANDIDATES);
+  // Only the best match is refreshed; the others keep their snapshot prices
+  if (ranked.length) ranked[0].card = await withPrices(ranked[0].card);
+  return ranked;
+}
+
+// Rank cards by art similarity, resolving each matched art to full card data
+async function findArtCandidates(base64Image) {
+  const entries = await getArtIndex();
+  if (!entries) return [];
+  let image;
+  try {
+    image = decodePNG(Buffer.from(base64Image, 'base64'));
+  } catch (e) {
+    // An interlaced or otherwise unusual PNG can't be hashed; the OCR result stands
+    console.warn('Skipping art matching:', e.message);
+    return [];
+  }
+  const candidates = [];
+  for (const match of matchArt(entries, image)) {
+    try {
+      candidates.push({ card: await lookupCard(match.name), score: Math.round(match.score * 100) / 100 });
+    } catch (e) {
+      if (!e.message.includes('not found')) throw e;
+    }
+  }
+  return candidates;
+}
+
+// Resolve every name detected in a frame, dropping text that isn't a card and duplicates
+async function resolveFrameNames(detections) {
+  const cards = [];
+  const seen = new Set();
+  for (const { text, box } of detections) {
+    const detectedName = cleanCardName(text);
+    if (!detectedName) continue;
+    try {
+      const card = await lookupCard(detectedName);
+      if (seen.has(card.name)) continue;
+      seen.add(card.name);
+      cards.push({ detectedName, box, card });
+    } catch (e) {
+      // One unresolvable name shouldn't lose the rest of the frame
+      if (!e.message.includes('not found')) console.error(`Frame lookup failed for "${detectedName}":`, e.message);
+    }
+  }
+  return cards;
+}
+
+// OCR + card lookup for a capture, then card-art matching in art mode
+async function lookupImage(base64, artMode, printingImage, providers) {
+  const readings = (await performOCR(base64, providers)).map(cleanCardName).filter(Boolean);
+  let candidates = readings.length ? await findCandidates(readings) : [];
+  let matchedBy = 'ocr';
+  if (artMode && !(candidates[0]?.score >= MIN_MATCH_SCORE)) {
+    candidates = await findArtCandidates(base64);
+    matchedBy = 'art';
+  }
+  if (!candidates.length) return { found: false, detectedName: readings[0] };
+  const found = candidates[0].score >= MIN_MATCH_SCORE;
+  let card = found ? candidates[0].card : undefined;
+  let printingHints;
+  if (found && printingImage) {
+    ({ card, hints: printingHints } = await identifyPrinting(card, printingImage, providers));
+  }
+  return { found, card, candidates, detectedName: readings[0], matchedBy, printingHints };
+}
+
+// Cached by the pixels of the captures, so repeat captures of a paused frame skip OCR;
+// beforeOCR runs on a cache miss only (quota metering)
+async function lookupImageCached(base64, artMode, printingImage, providers, beforeOCR = async () => {}) {
+  const lookup = async () => {
+    await beforeOCR();
+    return lookupImage(base64, artMode, printingImage, providers);
+  };
+  // Art captures include the card frame; name captures may come with a wider printing capture
+  printingImage = printingImage || (artMode && base64);
+  if (printingImage && !validatePrintingImage(printingImage)) printingImage = null;
+  const store = getCache();
+  let key;
+  try {
+    key = `image:${artMode ? 'art' : 'name'}:${imageCacheKey(base64)}${printingImage ? `:${imageCacheKey(printingImage)}` : ''}`;
+  } catch {
+    // PNG variants the decoder doesn't handle are looked up uncached
+    return { value: await lookup(), hit: false, store: 'none' };
+  }
+  const { value, hit } = await cached(store, key, IMAGE_CACHE_TTL_MS, lookup);
+  return { value, hit, store: store.name };
+}
+
+// API Gateway keeps header names as sent; the dev server lowercases them
+function getHeader(headers, name) {
+  return Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name)?.[1];
 }
 
 // noinspection JSUnusedGlobalSymbols
 export const handler = async (event) => {
-  const headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+  const headers = { 'Content-Type': 'application/json' };
   const badRequest = { statusCode: 400, headers, body: JSON.stringify({ error: 'Bad request' }) };
   const path = event.path || event.requestContext?.http?.path || '';
 
+  // Malformed JSON is the client's mistake, not a server error
+  let body;
   try {
-    const body = JSON.parse(event.body || '{}');
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return badRequest;
+  }
+  if (!body || typeof body !== 'object') return badRequest;
+
+  try {
+    // Handle /health endpoint - lets the extension check a (self-hosted) backend is reachable and compatible
+    if (path.endsWith('/health')) {
+      const ocrProviders = getOCRProviders().map(p => p.name);
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'ok', version: VERSION, apiVersion: API_VERSION, ocrProviders }) };
+    }
+
+    const origin = getHeader(event.headers, 'origin');
+    checkOrigin(origin);
+    // Only the allowed extensions' origins are echoed; the extension's service worker doesn't need CORS
+    if (origin && getAllowedExtensionIds().length) headers['Access-Control-Allow-Origin'] = origin;
+
+    // Handle /register endpoint - a signed install token for a new extension install
+    if (path.endsWith('/register')) {
+      const registration = await register(event.requestContext?.identity?.sourceIp);
+      return { statusCode: 200, headers, body: JSON.stringify(registration) };
+    }
+
+    // Every other route needs an install token (when auth is on); OCR provider calls count against its quota
+    const installId = await authorize(getHeader(event.headers, 'authorization'));
 
     // Handle /lookup-by-name endpoint - direct card name lookup
     if (path.endsWith('/lookup-by-name')) {
       if (!body.name) return badRequest;
       const cardName = cleanCardName(body.name);
       if (!cardName) return { statusCode: 200, headers, body: JSON.stringify({ found: false }) };
-      const card = await lookupCard(cardName);
-      return { statusCode: 200, headers, body: JSON.stringify({ found: true, card }) };
+      const { card, hit } = await lookupCardCached(cardName);
+      return { statusCode: 200, headers, body: JSON.stringify({ found: true, card, cache: { hit, store: getCache().name } }) };
+    }
+
+    // Handle /autocomplete endpoint - card name suggestions for the manual search box
+    if (path.endsWith('/autocomplete')) {
+      if (typeof body.query !== 'string') return badRequest;
+      const query = cleanCardName(body.query);
+      const suggestions = query.length >= 2 ? await suggestCardNames(query) : [];
+      return { statusCode: 200, headers, body: JSON.stringify({ suggestions }) };
+    }
+
+    // Handle /search endpoint - Scryfall search syntax, one page of results at a time
+    if (path.endsWith('/search')) {
+      const query = cleanSearchQuery(body.query);
+      const page = body.page === undefined ? 1 : body.page;
+      if (!query || !Number.isInteger(page) || page < 1) return badRequest;
+      const results = await searchCards(query, page);
+      return { statusCode: 200, headers, body: JSON.stringify(results) };
+    }
+
+    // Handle /lookup-frame endpoint - every card name in a whole video frame
+    if (path.endsWith('/lookup-frame')) {
+      if (!body.image) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing image' }) };
+      const base64 = imageField(body.image);
+      const mimeType = base64 && validateFrame(base64);
+      if (!mimeType) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid image' }) };
+      const providers = getOCRProviders();
+      if (!providers.length) return { statusCode: 500, headers, body: JSON.stringify({ error: 'Server config error' }) };
+      await consumeOcrQuota(installId);
+      const cards = await resolveFrameNames(await performFrameOCR(base64, mimeType, providers));
+      return { statusCode: 200, headers, body: JSON.stringify({ found: cards.length > 0, cards }) };
     }
 
-    // Handle /lookup endpoint - OCR + card lookup
+    // Handle /lookup endpoint - a name or art capture, answered from the cache when seen recently
     if (!body.image) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing image' }) };
-    const base64 = body.image.replace(/^data:image\/\w+;base64,/, '');
-    if (!validateImage(base64)) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid image' }) };
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) return { statusCode: 500, headers, body: JSON.stringify({ error: 'Server config error' }) };
-    const ocrText = await performOCR(base64, apiKey);
-    if (!ocrText) return { statusCode: 200, headers, body: JSON.stringify({ found: false }) };
-    const cardName = cleanCardName(ocrText);
-    if (!cardName) return { statusCode: 200, headers, body: JSON.stringify({ found: false }) };
-    const card = await lookupCard(cardName);
-    return { statusCode: 200, headers, body: JSON.stringify({ found: true, card, detectedName: cardName }) };
+    const base64 = imageField(body.image);
+    const artMode = body.mode === 'art';
+    const printingImage = body.printingImage ? imageField(body.printingImage) : null;
+    if (!base64 || !(artMode ? validateArtImage(base64) : validateImage(base64)) || (body.printingImage && !printingImage)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid image' }) };
+    }
+    const providers = getOCRProviders();
+    if (!providers.length) return { statusCode: 500, headers, body: JSON.stringify({ error: 'Server config error' }) };
+    // Passive scan lookups have their own daily quota
+    const consumeQuota = body.source === 'scan' ? consumeScanQuota : consumeOcrQuota;
+    const { value, hit, store } = await lookupImageCached(base64, artMode, printingImage, providers, () => consumeQuota(installId));
+    return { statusCode: 200, headers, body: JSON.stringify({ ...value, cache: { hit, store } }) };
   } catch (e) {
     if (e.message.includes('not found')) {
       return { statusCode: 200, headers, body: JSON.stringify({ found: false }) };
     }
+    if (e.status === 400) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: e.message }) };
+    }
+    // Access errors from auth.js (provider errors carry a status but no code)
+    if (e.code && [401, 403, 429].includes(e.status)) {
+      const retryHeaders = e.retryAfter ? { ...headers, 'Retry-After': String(e.retryAfter) } : headers;
+      return { statusCode: e.status, headers: retryHeaders, body: JSON.stringify({ error: e.message, code: e.code, retryAfter: e.retryAfter }) };
+    }
     console.error('Lambda error:', e.message);
     return { statusCode: 500, headers, body: JSON.stringify({ error: e.message }) };
   }
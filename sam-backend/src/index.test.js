@@ -0,0 +1,450 @@
+/**
+ * End-to-end tests for the Lambda handler, run offline through the local dev server
+ * against the stub Gemini and Scryfall servers (see stub-servers.js)
+ */
+
+import { after, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { deflateSync } from 'zlib';
+import { createDevServer } from './dev-server.js';
+import { startGeminiStub, startScryfallStub } from './stub-servers.js';
+
+const gemini = await startGeminiStub();
+const scryfall = await startScryfallStub();
+process.env.GEMINI_API_BASE = gemini.url;
+process.env.SCRYFALL_API_BASE = scryfall.url;
+process.env.GEMINI_API_KEY = 'test-key';
+process.env.OCR_PROVIDERS = 'gemini';
+process.env.CACHE_STORE = 'none';
+process.env.AUTH_DISABLED = '1';
+delete process.env.CARD_DB_PATH;
+delete process.env.ART_INDEX_PATH;
+
+// index.js reads the stub URLs when it's loaded
+const { cleanCardName, handler, lookupCard, validateImage } = await import('./index.js');
+
+const server = createDevServer(handler);
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+// A real name-bar capture from the extension
+const namePng = readFileSync(new URL('../test.png', import.meta.url)).toString('base64');
+
+// Card snapshot for the local-index tests: the fixtures plus more Lightning cards than a lookup returns
+const cardDbDir = mkdtempSync(join(tmpdir(), 'mtg-card-db-'));
+const cardDbPath = join(cardDbDir, 'oracle-cards.json');
+const fixtureCards = JSON.parse(readFileSync(new URL('./fixtures/oracle-cards.json', import.meta.url), 'utf8'));
+const helix = fixtureCards.find(c => c.name === 'Lightning Helix');
+const lightningCards = ['Axe', 'Blast', 'Dragon', 'Spear', 'Storm', 'Surge'].map((word, i) => ({
+  ...helix, id: `00000000-0000-4000-8000-00000000000${i}`, name: `Lightning ${word}`
+}));
+writeFileSync(cardDbPath, JSON.stringify([...fixtureCards, ...lightningCards]));
+
+// Blank RGB PNG of the given size
+function png(width, height) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr), chunk('IDAT', deflateSync(raw)), chunk('IEND', Buffer.alloc(0))
+  ]).toString('base64');
+}
+
+async function post(path, body, headers = {}) {
+  const resp = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: resp.status, headers: resp.headers, body: await resp.json() };
+}
+
+beforeEach(() => {
+  gemini.status = null;
+  gemini.text = null;
+  scryfall.status = null;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await gemini.close();
+  await scryfall.close();
+  rmSync(cardDbDir, { recursive: true, force: true });
+});
+
+test('validateImage accepts name captures within the size bounds', () => {
+  assert.equal(validateImage(namePng), true);
+  assert.equal(validateImage(png(50, 20)), true);
+  assert.equal(validateImage(png(40, 60)), false);
+  assert.equal(validateImage(png(2000, 100)), false);
+  assert.equal(validateImage(Buffer.from('GIF89a not a png').toString('base64')), false);
+  assert.equal(validateImage('notvalidbase64'), false);
+});
+
+test('cleanCardName trims, collapses whitespace and strips symbols', () => {
+  assert.equal(cleanCardName('  Jace,  the Mind\nSculptor! '), 'Jace the Mind Sculptor');
+  assert.equal(cleanCardName('Ach! Hans, Run!'), 'Ach Hans Run');
+  assert.equal(cleanCardName("Urza's Saga"), "Urza's Saga");
+  assert.equal(cleanCardName('x'.repeat(80)).length, 50);
+  assert.equal(cleanCardName(''), '');
+  assert.equal(cleanCardName(undefined), '');
+});
+
+test('lookupCard returns both faces of a double-faced card', async () => {
+  const card = await lookupCard('Delver of Secrets');
+  assert.equal(card.name, 'Delver of Secrets // Insectile Aberration');
+  assert.equal(card.presentation, 'transform');
+  assert.deepEqual(card.faces.map(f => f.name), ['Delver of Secrets', 'Insectile Aberration']);
+  assert.match(card.imageUrl, /\/front\//);
+  assert.match(card.backImageUrl, /\/back\//);
+  assert.equal(card.faces[1].power, '3');
+});
+
+test('lookupCard throws not found for unknown names', async () => {
+  await assert.rejects(lookupCard('Nonexistent Card Name'), /not found/);
+});
+
+test('related-card images point at the configured Scryfall base', async () => {
+  const { toCardResult } = await import('./card-model.js');
+  const card = toCardResult({
+    id: 'g', name: 'Gisela, the Broken Blade', layout: 'meld', image_uris: { normal: 'gisela' },
+    all_parts: [{ id: 'e3285e6b-3e79-4d7c-bf96-d920f973b122', name: 'Lightning Bolt', component: 'meld_result' }]
+  });
+  const { imageUrl } = card.relatedCards[0];
+  assert.ok(imageUrl.startsWith(`${scryfall.url}/cards/`), imageUrl);
+
+  const resp = await fetch(imageUrl, { redirect: 'manual' });
+  assert.equal(resp.status, 302);
+  assert.match(resp.headers.get('location'), /^https:\/\/cards\.scryfall\.io\//);
+});
+
+test('/lookup reads the name with Gemini and resolves it on Scryfall', async () => {
+  const { status, headers, body } = await post('/lookup', { image: `data:image/png;base64,${namePng}` });
+  assert.equal(status, 200);
+  assert.equal(headers.get('access-control-allow-origin'), null);
+  assert.equal(body.found, true);
+  assert.equal(body.card.name, 'Lightning Bolt');
+  assert.equal(body.detectedName, 'Lightning Bolt');
+  assert.equal(body.matchedBy, 'ocr');
+  const ocrRequest = gemini.requests.at(-1);
+  assert.equal(ocrRequest.query.key, 'test-key');
+  assert.equal(JSON.parse(ocrRequest.body).contents[0].parts[1].inline_data.data, namePng);
+});
+
+test('/lookup reports the reading when no card matches', async () => {
+  gemini.text = 'Definitely Not A Card';
+  const { status, body } = await post('/lookup', { image: namePng });
+  assert.equal(status, 200);
+  assert.equal(body.found, false);
+  assert.equal(body.detectedName, 'Definitely Not A Card');
+});
+
+test('/lookup ranks candidates from the local index by score, alternate readings weighted down', async () => {
+  process.env.CARD_DB_PATH = cardDbPath;
+  try {
+    gemini.text = 'Lightnimg Bolt\nCounterspell\nLlanowar';
+    const requests = scryfall.requests.length;
+    const { body } = await post('/lookup', { image: namePng });
+    // A close misread of the first reading beats an exact alternate reading
+    assert.deepEqual(body.candidates.slice(0, 3).map(c => [c.card.name, c.score]),
+      [['Lightning Bolt', 0.95], ['Counterspell', 0.9], ['Llanowar Elves', 0.81]]);
+    assert.ok(body.candidates.every((c, i) => i === 0 || c.score <= body.candidates[i - 1].score));
+    assert.equal(body.card.name, 'Lightning Bolt');
+    // A confident local match doesn't fall back to Scryfall's fuzzy search
+    assert.ok(!scryfall.requests.slice(requests).some(r => r.path === '/cards/named'));
+  } finally {
+    delete process.env.CARD_DB_PATH;
+  }
+});
+
+test('/lookup returns at most five candidates', async () => {
+  process.env.CARD_DB_PATH = cardDbPath;
+  try {
+    // Eight cards start with "Lightning"
+    gemini.text = 'Lightning';
+    const { body } = await post('/lookup', { image: namePng });
+    assert.equal(body.candidates.length, 5);
+    assert.ok(body.candidates.every(c => c.card.name.startsWith('Lightning ') && c.score === 0.9));
+  } finally {
+    delete process.env.CARD_DB_PATH;
+  }
+});
+
+test('/lookup falls back to Scryfall fuzzy matches without a local index, never below the match threshold', async () => {
+  gemini.text = 'Llanowar\nLightning Bolt';
+  const { body } = await post('/lookup', { image: namePng });
+  // The exact alternate reading outranks the first reading's partial match
+  assert.deepEqual(body.candidates.map(c => [c.card.name, c.score]), [['Lightning Bolt', 0.9], ['Llanowar Elves', 0.75]]);
+  assert.equal(body.card.name, 'Lightning Bolt');
+  const fuzzy = scryfall.requests.filter(r => r.path === '/cards/named').slice(-2).map(r => r.query.fuzzy);
+  assert.deepEqual(fuzzy, ['Llanowar', 'Lightning Bolt']);
+});
+
+test('/lookup-frame resolves every name Gemini finds in the frame', async () => {
+  gemini.text = JSON.stringify([
+    { name: 'Lightning Bolt', box_2d: [100, 250, 200, 750] },
+    { name: 'Definitely Not A Card', box_2d: [300, 0, 400, 500] },
+    { name: 'lightning bolt', box_2d: [500, 250, 600, 750] },
+    { name: 'Counterspell', box_2d: [700, 500, 800, 1000] }
+  ]);
+  const frame = png(640, 360);
+  const { status, body } = await post('/lookup-frame', { image: `data:image/png;base64,${frame}` });
+  assert.equal(status, 200);
+  assert.equal(body.found, true);
+  // Unknown names are dropped and a card seen twice is listed once
+  assert.deepEqual(body.cards.map(c => c.card.name), ['Lightning Bolt', 'Counterspell']);
+  assert.equal(body.cards[0].detectedName, 'Lightning Bolt');
+  assert.deepEqual(body.cards[0].box, { x: 0.25, y: 0.1, width: 0.5, height: 0.1 });
+  const { inline_data: inlineData } = JSON.parse(gemini.requests.at(-1).body).contents[0].parts[1];
+  assert.deepEqual(inlineData, { mime_type: 'image/png', data: frame });
+});
+
+test('/lookup-frame reports frames without card names as not found', async () => {
+  gemini.text = '[]';
+  const { status, body } = await post('/lookup-frame', { image: png(640, 360) });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { found: false, cards: [] });
+});
+
+test('/lookup-frame rejects frames outside the size bounds without calling Gemini', async () => {
+  const requests = gemini.requests.length;
+  for (const image of [png(2000, 400), png(640, 2000), png(200, 100)]) {
+    const { status, body } = await post('/lookup-frame', { image });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid image');
+  }
+  assert.equal((await post('/lookup-frame', {})).body.error, 'Missing image');
+  assert.equal(gemini.requests.length, requests);
+});
+
+test('/lookup-by-name finds cards and reports unknown names as not found', async () => {
+  let { status, body } = await post('/lookup-by-name', { name: 'lightning bolt' });
+  assert.equal(status, 200);
+  assert.equal(body.card.name, 'Lightning Bolt');
+  assert.ok('usd' in body.card.prices);
+
+  ({ status, body } = await post('/lookup-by-name', { name: 'Nonexistent Card Name' }));
+  assert.equal(status, 200);
+  assert.deepEqual(body, { found: false });
+});
+
+test('/search passes the cleaned query and page to Scryfall', async () => {
+  const { status, body } = await post('/search', { query: '  lightning   bolt ', page: 2 });
+  assert.equal(status, 200);
+  assert.deepEqual(scryfall.requests.at(-1).query, { q: 'lightning bolt', page: '2' });
+  assert.deepEqual(body.cards.map(c => c.name), ['Lightning Bolt']);
+  assert.equal(body.totalCards, 1);
+  assert.equal(body.hasMore, false);
+  assert.equal(body.page, 2);
+});
+
+test('/search reports queries without matches as an empty page', async () => {
+  const { status, body } = await post('/search', { query: 'no such card' });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { cards: [], totalCards: 0, hasMore: false, page: 1 });
+});
+
+test('/search passes on queries Scryfall rejects as 400', async () => {
+  scryfall.status = 400;
+  const { status, body } = await post('/search', { query: 'is:' });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid search query');
+});
+
+test('/search rejects empty and overlong queries without calling Scryfall', async () => {
+  const requests = scryfall.requests.length;
+  for (const query of ['', '   ', 'x'.repeat(1001), 'bolt\u0000']) {
+    const { status } = await post('/search', { query });
+    assert.equal(status, 400, JSON.stringify(query));
+  }
+  assert.equal(scryfall.requests.length, requests);
+});
+
+test('cached prices are refreshed after the price TTL while the card data stays cached', async () => {
+  const hour = 60 * 60 * 1000;
+  process.env.CACHE_STORE = 'memory';
+  // A day on, so entries cached by earlier tests have expired
+  mock.timers.enable({ apis: ['Date'], now: Date.now() + 25 * hour });
+  try {
+    const lookup = async () => {
+      const requests = scryfall.requests.length;
+      const { body } = await post('/lookup-by-name', { name: 'Lightning Bolt' });
+      assert.equal(body.card.prices.usd, '1.02');
+      return scryfall.requests.slice(requests).map(r => r.path);
+    };
+    assert.deepEqual(await lookup(), ['/cards/named']);
+    mock.timers.tick(5 * hour);
+    assert.deepEqual(await lookup(), []);
+    // Prices expire after 6 hours, the card data after 24
+    mock.timers.tick(2 * hour);
+    const id = fixtureCards.find(c => c.name === 'Lightning Bolt').id;
+    assert.deepEqual(await lookup(), [`/cards/${id}`]);
+    assert.deepEqual(await lookup(), []);
+  } finally {
+    mock.timers.reset();
+    process.env.CACHE_STORE = 'none';
+  }
+});
+
+test('bad requests get 400', async () => {
+  const cases = [
+    ['/lookup', {}],
+    ['/lookup', { image: 'notvalidbase64' }],
+    ['/lookup', { image: png(40, 10) }],
+    ['/lookup', { image: png(90, 90), mode: 'art' }],
+    // Image fields that aren't strings
+    ['/lookup', { image: 42 }],
+    ['/lookup', { image: { data: namePng } }],
+    ['/lookup', { image: [namePng] }],
+    ['/lookup', { image: namePng, printingImage: 42 }],
+    ['/lookup', { image: namePng, printingImage: { data: namePng } }],
+    ['/lookup-frame', { image: 42 }],
+    ['/lookup-frame', { image: [png(640, 360)] }],
+    ['/lookup-by-name', {}],
+    ['/autocomplete', { query: 42 }],
+    ['/search', { query: 't:instant', page: 0 }],
+    ['/lookup', '{"image": '],
+    ['/lookup-by-name', 'null']
+  ];
+  for (const [path, body] of cases) {
+    const resp = await post(path, body);
+    assert.equal(resp.status, 400, `${path} ${JSON.stringify(body)}`);
+    assert.equal(typeof resp.body.error, 'string');
+  }
+});
+
+test('OCR provider failures map to 500 with the provider error', async () => {
+  gemini.status = 403;
+  let resp = await post('/lookup', { image: namePng });
+  assert.equal(resp.status, 500);
+  assert.equal(resp.body.error, 'Invalid Gemini API key');
+
+  gemini.status = 429;
+  resp = await post('/lookup', { image: namePng });
+  assert.equal(resp.status, 500);
+  assert.equal(resp.body.error, 'Rate limit exceeded');
+});
+
+test('Scryfall failures map to 500', async () => {
+  scryfall.status = 503;
+  const resp = await post('/lookup-by-name', { name: 'Counterspell' });
+  assert.equal(resp.status, 500);
+  assert.equal(resp.body.error, 'Scryfall API error: 503');
+});
+
+test('missing OCR configuration is a 500', async () => {
+  delete process.env.GEMINI_API_KEY;
+  try {
+    const resp = await post('/lookup', { image: namePng });
+    assert.equal(resp.status, 500);
+    assert.equal(resp.body.error, 'Server config error');
+  } finally {
+    process.env.GEMINI_API_KEY = 'test-key';
+  }
+});
+
+test('/health reports the version and API version', async () => {
+  const resp = await fetch(`${baseUrl}/health`);
+  assert.equal(resp.status, 200);
+  const body = await resp.json();
+  assert.equal(body.status, 'ok');
+  assert.equal(body.apiVersion, 1);
+  assert.match(body.version, /^\d+\.\d+\.\d+$/);
+  assert.deepEqual(body.ocrProviders, ['gemini']);
+});
+
+test('the dev server has no CORS preflight route and rejects unknown routes', async () => {
+  // Like the deployed API: the extension reaches it through host permissions, not CORS
+  const preflight = await fetch(`${baseUrl}/lookup`, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 404);
+  assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+
+  const resp = await post('/nope', {});
+  assert.equal(resp.status, 404);
+});
+
+test('with AUTH_SECRET set, lookups need a registered install token and OCR calls count against its quotas', async () => {
+  process.env.AUTH_SECRET = 'test-secret';
+  delete process.env.AUTH_DISABLED;
+  process.env.DAILY_OCR_QUOTA = '1';
+  process.env.CACHE_STORE = 'memory';
+  try {
+    let resp = await post('/lookup-by-name', { name: 'Lightning Bolt' });
+    assert.equal(resp.status, 401);
+    assert.equal(resp.body.code, 'missing_token');
+
+    resp = await post('/lookup-by-name', { name: 'Lightning Bolt' }, { Authorization: 'Bearer forged.token.value' });
+    assert.equal(resp.status, 401);
+    assert.equal(resp.body.code, 'invalid_token');
+
+    const { body: { token } } = await post('/register', {});
+    const auth = { Authorization: `Bearer ${token}` };
+    resp = await post('/lookup-by-name', { name: 'Lightning Bolt' }, auth);
+    assert.equal(resp.status, 200);
+    assert.equal(resp.body.card.name, 'Lightning Bolt');
+
+    resp = await post('/lookup', { image: namePng }, auth);
+    assert.equal(resp.status, 200);
+    // Answered from the cache without calling the OCR provider, so not counted
+    resp = await post('/lookup', { image: namePng }, auth);
+    assert.equal(resp.status, 200);
+    assert.equal(resp.body.cache.hit, true);
+
+    resp = await post('/lookup', { image: png(60, 20) }, auth);
+    assert.equal(resp.status, 429);
+    assert.equal(resp.body.code, 'quota_exceeded');
+    assert.equal(resp.headers.get('retry-after'), String(resp.body.retryAfter));
+
+    // Passive scan lookups use their own quota
+    resp = await post('/lookup', { image: png(60, 20), source: 'scan' }, auth);
+    assert.equal(resp.status, 200);
+  } finally {
+    delete process.env.AUTH_SECRET;
+    process.env.AUTH_DISABLED = '1';
+    delete process.env.DAILY_OCR_QUOTA;
+    process.env.CACHE_STORE = 'none';
+  }
+});
+
+test('without AUTH_SECRET, requests fail unless auth is explicitly disabled', async () => {
+  delete process.env.AUTH_DISABLED;
+  try {
+    const resp = await post('/lookup-by-name', { name: 'Lightning Bolt' });
+    assert.equal(resp.status, 500);
+    assert.equal(resp.body.error, 'Server config error');
+    assert.equal((await post('/register', {})).status, 500);
+  } finally {
+    process.env.AUTH_DISABLED = '1';
+  }
+});
+
+test('origins outside ALLOWED_EXTENSION_IDS get 403', async () => {
+  // Without an allow list the handler sends no CORS headers
+  const direct = await handler({ path: '/lookup-by-name', headers: {}, body: JSON.stringify({ name: 'Lightning Bolt' }) });
+  assert.equal(direct.headers['Access-Control-Allow-Origin'], undefined);
+
+  process.env.ALLOWED_EXTENSION_IDS = 'abcdefghijklmnop';
+  try {
+    let resp = await post('/lookup-by-name', { name: 'Lightning Bolt' }, { Origin: 'chrome-extension://someoneelse' });
+    assert.equal(resp.status, 403);
+    assert.equal(resp.body.code, 'origin_not_allowed');
+
+    resp = await post('/lookup-by-name', { name: 'Lightning Bolt' }, { Origin: 'chrome-extension://abcdefghijklmnop' });
+    assert.equal(resp.status, 200);
+    assert.equal(resp.headers.get('access-control-allow-origin'), 'chrome-extension://abcdefghijklmnop');
+  } finally {
+    delete process.env.ALLOWED_EXTENSION_IDS;
+  }
+});
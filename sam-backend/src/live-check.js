@@ -1,12 +1,16 @@
 /**
- * Simple test for the MTG Card Lookup Lambda
- * Requires GEMINI_API_KEY environment variable or ~/.env file
+ * Live check of the MTG Card Lookup Lambda against the real Gemini and Scryfall APIs
+ * Requires GEMINI_API_KEY environment variable or ~/.env file; run with `npm run test:live`
+ * (the offline suite, `npm test`, uses stub servers instead)
  */
 
 import { handler } from './index.js';
 import { readFileSync } from 'fs';
 import { homedir } from 'os';
 
+// Calls the handler directly, without install tokens
+if (!process.env.AUTH_SECRET) process.env.AUTH_DISABLED ??= '1';
+
 // Load API key from ~/.env if not set
 if (!process.env.GEMINI_API_KEY) {
   try {
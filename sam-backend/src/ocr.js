@@ -0,0 +1,261 @@
+/**
+ * OCR providers for the MTG Card Lookup Lambda
+ *
+ * Each provider implements `isConfigured()` and `recognizeNames(base64Image)`,
+ * which resolves to the possible readings of the card name closest to the center
+ * of the image, most likely first (an empty array when no name is visible), and
+ * `recognizeAll(base64Image, mimeType)`, which resolves to every card name in a
+ * whole video frame as `{text, box}` with the box in 0-1 coordinates of the frame,
+ * and `recognizePrinting(base64Image)`, which resolves to the set code, collector number
+ * and frame treatment visible on a card as `{set, collector_number, frame}` (or null).
+ * Providers are selected with the OCR_PROVIDERS env var (comma-separated, tried
+ * in order); a provider that is rate limited or unavailable falls through to the next.
+ */
+
+import { getImageInfo } from './image.js';
+
+const GEMINI_MODEL = 'gemini-2.5-flash-lite';
+// GEMINI_API_BASE points at a stub server in tests and local development (see stub-servers.js)
+const GEMINI_API_BASE = process.env.GEMINI_API_BASE || 'https://generativelanguage.googleapis.com';
+const GEMINI_API_ENDPOINT = `${GEMINI_API_BASE}/v1beta/models/${GEMINI_MODEL}:generateContent`;
+const DEFAULT_PROVIDERS = 'gemini';
+const FALLBACK_STATUSES = new Set([429, 500, 502, 503, 504]);
+const TESSERACT_MIN_CONFIDENCE = 50;
+const MAX_READINGS = 3;
+const MAX_FRAME_NAMES = 20;
+
+function providerError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toReadings(text) {
+  return (text || '').split('\n').map(t => t.trim()).filter(t => t && t !== 'NONE').slice(0, MAX_READINGS);
+}
+
+function imageSize(base64Image) {
+  return getImageInfo(Buffer.from(base64Image, 'base64'));
+}
+
+async function callGemini(requestBody) {
+  let resp;
+  try {
+    resp = await fetch(`${GEMINI_API_ENDPOINT}?key=${encodeURIComponent(process.env.GEMINI_API_KEY)}`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestBody)
+    });
+  } catch (e) {
+    throw providerError(`Gemini API unreachable: ${e.message}`, 503);
+  }
+  if (!resp.ok) {
+    const errorBody = await resp.text();
+    console.error('Gemini API error response:', errorBody);
+    if (resp.status === 401 || resp.status === 403) throw providerError('Invalid Gemini API key', resp.status);
+    if (resp.status === 429) throw providerError('Rate limit exceeded', 429);
+    throw providerError(`Gemini API error: ${resp.status} - ${errorBody}`, resp.status);
+  }
+  const data = await resp.json();
+  return data.candidates?.[0]?.content?.parts?.filter(p => p.text).map(p => p.text).join('\n') || '';
+}
+
+const gemini = {
+  name: 'gemini',
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+  async recognizeNames(base64Image) {
+    const text = await callGemini({
+      contents: [{
+        parts: [
+          { text: 'Extract Magic: The Gathering card names visible in this image. Return ONLY the card name closest to center on the first line. ' +
+            `If that name is partly cut off or hard to read, add up to ${MAX_READINGS - 1} alternative readings on the following lines, most likely first. ` +
+            'One name per line, no other text. If none visible, respond NONE.' },
+          { inline_data: { mime_type: 'image/png', data: base64Image } }
+        ]
+      }]
+    });
+    return toReadings(text);
+  },
+  async recognizeAll(base64Image, mimeType) {
+    const text = await callGemini({
+      contents: [{
+        parts: [
+          { text: 'Find every Magic: The Gathering card whose name is readable in this video frame. ' +
+            'Return a JSON array of objects {"name": string, "box_2d": [ymin, xmin, ymax, xmax]} where box_2d bounds the card name, ' +
+            `normalized to 0-1000. At most ${MAX_FRAME_NAMES} entries. Return [] if no card names are visible.` },
+          { inline_data: { mime_type: mimeType, data: base64Image } }
+        ]
+      }],
+      generationConfig: { responseMimeType: 'application/json' }
+    });
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch {
+      console.error('Unparseable Gemini frame response:', text);
+      return [];
+    }
+    return (Array.isArray(entries) ? entries : []).filter(e => e?.name && e.box_2d?.length === 4).map(e => {
+      const [ymin, xmin, ymax, xmax] = e.box_2d.map(v => Math.min(1000, Math.max(0, v)) / 1000);
+      return { text: String(e.name).trim(), box: { x: xmin, y: ymin, width: xmax - xmin, height: ymax - ymin } };
+    }).slice(0, MAX_FRAME_NAMES);
+  },
+  async recognizePrinting(base64Image) {
+    const text = await callGemini({
+      contents: [{
+        parts: [
+          { text: 'This image shows part of a Magic: The Gathering card. Identify its printing. ' +
+            'Return a JSON object {"set": string, "collector_number": string, "frame": string} where set is the set code ' +
+            'printed at the bottom left, collector_number is the number printed next to it, and frame is one of ' +
+            '"normal", "borderless", "showcase", "extended_art", "full_art" or "retro". Use null for anything not visible.' },
+          { inline_data: { mime_type: 'image/png', data: base64Image } }
+        ]
+      }],
+      generationConfig: { responseMimeType: 'application/json' }
+    });
+    try {
+      return JSON.parse(text);
+    } catch {
+      console.error('Unparseable Gemini printing response:', text);
+      return null;
+    }
+  }
+};
+
+// Self-hosted engine: tesseract.js runs Tesseract compiled to WASM inside the Lambda.
+// The worker is created once per container; set TESSERACT_LANG_PATH to serve the
+// traineddata from the deployment package instead of the default CDN.
+let tesseractWorker = null;
+
+async function getTesseractWorker() {
+  if (!tesseractWorker) {
+    tesseractWorker = (async () => {
+      let Tesseract;
+      try {
+        Tesseract = (await import('tesseract.js')).default;
+      } catch {
+        throw providerError('Tesseract engine not installed', 503);
+      }
+      // Without an errorHandler tesseract.js rethrows worker errors outside any promise, crashing
+      // the process; and when loading the traineddata fails, createWorker never settles
+      let failStart;
+      const startFailed = new Promise((resolve, reject) => { failStart = reject; });
+      const options = {
+        cachePath: process.env.TESSERACT_CACHE_PATH || '/tmp',
+        errorHandler: e => failStart(e instanceof Error ? e : new Error(String(e)))
+      };
+      if (process.env.TESSERACT_LANG_PATH) options.langPath = process.env.TESSERACT_LANG_PATH;
+      // e.g. the traineddata download failed or the container ran out of memory
+      try {
+        return await Promise.race([Tesseract.createWorker(process.env.TESSERACT_LANG || 'eng', 1, options), startFailed]);
+      } catch (e) {
+        throw providerError(`Tesseract engine failed to start: ${e.message}`, 503);
+      }
+    })();
+    // A failed start isn't retried in this container: the half-started worker thread can't be
+    // terminated, so retrying would leak one per request; requests fall through to the next provider
+    tesseractWorker.catch(() => {});
+  }
+  return tesseractWorker;
+}
+
+async function recognizeLines(base64Image) {
+  const worker = await getTesseractWorker();
+  let data;
+  try {
+    ({ data } = await worker.recognize(Buffer.from(base64Image, 'base64'), {}, { blocks: true }));
+  } catch (e) {
+    throw providerError(`Tesseract recognition failed: ${e.message}`, 503);
+  }
+  return (data.blocks || [])
+    .flatMap(b => b.paragraphs).flatMap(p => p.lines)
+    .filter(l => l.confidence >= TESSERACT_MIN_CONFIDENCE && /[a-z]{2}/i.test(l.text));
+}
+
+const tesseract = {
+  name: 'tesseract',
+  isConfigured: () => true,
+  async recognizeNames(base64Image) {
+    const lines = await recognizeLines(base64Image);
+    // Order lines by distance from the image center, like the Gemini prompt asks for
+    const { width, height } = imageSize(base64Image);
+    const distance = ({ bbox }) => Math.hypot((bbox.x0 + bbox.x1) / 2 - width / 2, (bbox.y0 + bbox.y1) / 2 - height / 2);
+    return toReadings(lines.sort((a, b) => distance(a) - distance(b)).map(l => l.text).join('\n'));
+  },
+  // Every confident text line is returned; the handler keeps the ones that resolve to cards
+  async recognizeAll(base64Image) {
+    const lines = await recognizeLines(base64Image);
+    const { width, height } = imageSize(base64Image);
+    return lines.map(({ text, bbox }) => ({
+      text: text.trim(),
+      box: { x: bbox.x0 / width, y: bbox.y0 / height, width: (bbox.x1 - bbox.x0) / width, height: (bbox.y1 - bbox.y0) / height }
+    })).slice(0, MAX_FRAME_NAMES);
+  },
+  // Set symbols and frame treatments aren't text, so Tesseract can't identify printings
+  async recognizePrinting() {
+    return null;
+  }
+};
+
+// Deterministic provider for tests and offline development: always returns OCR_STATIC_TEXT
+// (alternative readings separated by ';'). In frame mode each name covers the whole frame.
+// Printing details come from OCR_STATIC_PRINTING as JSON, when set.
+const fixed = {
+  name: 'static',
+  isConfigured: () => process.env.OCR_STATIC_TEXT !== undefined,
+  async recognizeNames() {
+    return toReadings(process.env.OCR_STATIC_TEXT.replace(/;/g, '\n'));
+  },
+  async recognizeAll() {
+    return process.env.OCR_STATIC_TEXT.split(';').map(t => t.trim()).filter(t => t && t !== 'NONE')
+      .map(text => ({ text, box: { x: 0, y: 0, width: 1, height: 1 } }));
+  },
+  async recognizePrinting() {
+    return process.env.OCR_STATIC_PRINTING ? JSON.parse(process.env.OCR_STATIC_PRINTING) : null;
+  }
+};
+
+const PROVIDERS = { gemini, tesseract, static: fixed };
+
+/**
+ * Check OCR_PROVIDERS names only known providers, so a typo fails the cold start with a
+ * clear message instead of every request
+ */
+export function validateOCRProviders(names = process.env.OCR_PROVIDERS || DEFAULT_PROVIDERS) {
+  const unknown = names.split(',').map(n => n.trim().toLowerCase()).filter(n => n && !PROVIDERS[n]);
+  if (unknown.length) {
+    throw new Error(`Invalid OCR_PROVIDERS "${names}": unknown ${unknown.join(', ')} (known: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+}
+
+export function getOCRProviders(names = process.env.OCR_PROVIDERS || DEFAULT_PROVIDERS) {
+  return names.split(',').map(n => n.trim().toLowerCase()).filter(Boolean).map(n => {
+    if (!PROVIDERS[n]) throw new Error(`Unknown OCR provider: ${n}`);
+    return PROVIDERS[n];
+  }).filter(p => p.isConfigured());
+}
+
+async function withFallback(providers, recognize) {
+  let lastError = null;
+  for (const provider of providers) {
+    try {
+      return await recognize(provider);
+    } catch (e) {
+      if (!FALLBACK_STATUSES.has(e.status)) throw e;
+      console.warn(`OCR provider ${provider.name} failed (${e.message}), trying next`);
+      lastError = e;
+    }
+  }
+  throw lastError || new Error('No OCR provider configured');
+}
+
+export function performOCR(base64Image, providers = getOCRProviders()) {
+  return withFallback(providers, provider => provider.recognizeNames(base64Image));
+}
+
+export function performFrameOCR(base64Image, mimeType, providers = getOCRProviders()) {
+  return withFallback(providers, provider => provider.recognizeAll(base64Image, mimeType));
+}
+
+export function performPrintingOCR(base64Image, providers = getOCRProviders()) {
+  return withFallback(providers, provider => provider.recognizePrinting(base64Image));
+}
@@ -0,0 +1,70 @@
+/**
+ * Tests for the OCR provider chain (no network access required)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOCRProviders, performOCR, performPrintingOCR, validateOCRProviders } from './ocr.js';
+
+function provider(name, recognizeNames) {
+  return { name, isConfigured: () => true, recognizeNames };
+}
+
+function failing(status) {
+  return async () => {
+    const err = new Error(`failed with ${status}`);
+    err.status = status;
+    throw err;
+  };
+}
+
+test('static provider returns OCR_STATIC_TEXT', async () => {
+  process.env.OCR_STATIC_TEXT = 'Lightning Helix;Lightning Bolt';
+  const providers = getOCRProviders('static');
+  assert.equal(providers.length, 1);
+  assert.deepEqual(await performOCR('', providers), ['Lightning Helix', 'Lightning Bolt']);
+  process.env.OCR_STATIC_TEXT = 'NONE';
+  assert.deepEqual(await performOCR('', providers), []);
+  delete process.env.OCR_STATIC_TEXT;
+});
+
+test('static provider returns OCR_STATIC_PRINTING', async () => {
+  process.env.OCR_STATIC_TEXT = 'Lightning Bolt';
+  const providers = getOCRProviders('static');
+  assert.equal(await performPrintingOCR('', providers), null);
+  process.env.OCR_STATIC_PRINTING = '{"set": "m21", "collector_number": "199", "frame": "normal"}';
+  assert.deepEqual(await performPrintingOCR('', providers), { set: 'm21', collector_number: '199', frame: 'normal' });
+  delete process.env.OCR_STATIC_PRINTING;
+  delete process.env.OCR_STATIC_TEXT;
+});
+
+test('unconfigured providers are skipped', () => {
+  delete process.env.OCR_STATIC_TEXT;
+  const saved = process.env.GEMINI_API_KEY;
+  delete process.env.GEMINI_API_KEY;
+  assert.deepEqual(getOCRProviders('gemini,static'), []);
+  if (saved) process.env.GEMINI_API_KEY = saved;
+});
+
+test('unknown provider names are rejected', () => {
+  assert.throws(() => getOCRProviders('nope'), /Unknown OCR provider/);
+});
+
+test('OCR_PROVIDERS is validated with the unknown and known names', () => {
+  validateOCRProviders('gemini, Tesseract,static');
+  assert.throws(() => validateOCRProviders('gemini,tesserect'), /Invalid OCR_PROVIDERS "gemini,tesserect": unknown tesserect \(known: gemini, tesseract, static\)/);
+});
+
+test('rate limited provider falls back to the next one', async () => {
+  const result = await performOCR('', [provider('a', failing(429)), provider('b', async () => ['Counterspell'])]);
+  assert.deepEqual(result, ['Counterspell']);
+});
+
+test('non-retryable errors are not swallowed', async () => {
+  const next = provider('b', async () => ['Counterspell']);
+  await assert.rejects(performOCR('', [provider('a', failing(401)), next]), /failed with 401/);
+});
+
+test('last error is thrown when every provider fails', async () => {
+  await assert.rejects(performOCR('', [provider('a', failing(429)), provider('b', failing(503))]), /failed with 503/);
+});
@@ -0,0 +1,62 @@
+/**
+ * Printing identification for the MTG Card Lookup Lambda
+ *
+ * Scryfall's fuzzy name lookup resolves to a card's default printing. When OCR can read
+ * printing details from a wider capture (set code, collector number, frame treatment),
+ * the card's printings are ranked against them so a showcase or borderless version on
+ * screen resolves to that printing instead.
+ */
+
+// How each frame treatment the OCR can report shows up in Scryfall's card fields
+const FRAME_MATCHERS = {
+  borderless: p => p.border_color === 'borderless',
+  showcase: p => Boolean(p.frame_effects?.includes('showcase')),
+  extended_art: p => Boolean(p.frame_effects?.includes('extendedart')),
+  full_art: p => Boolean(p.full_art),
+  retro: p => p.frame === '1993' || p.frame === '1997',
+  normal: p => !p.full_art && p.border_color !== 'borderless' && (p.frame === '2003' || p.frame === '2015') &&
+    !p.frame_effects?.some(e => e === 'showcase' || e === 'extendedart')
+};
+
+const SET_WEIGHT = 2;
+const COLLECTOR_NUMBER_WEIGHT = 1;
+const FRAME_WEIGHT = 1;
+
+/**
+ * Clean up printing details read by OCR; null when nothing usable was read
+ * Printed collector numbers look like "045/280" while Scryfall uses "45"
+ * @returns {{set: string|null, collectorNumber: string|null, frame: string|null}|null}
+ */
+export function normalizePrintingHints(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const set = typeof raw.set === 'string' && /^[a-z0-9]{2,6}$/i.test(raw.set.trim()) ? raw.set.trim().toLowerCase() : null;
+  const number = String(raw.collectorNumber ?? raw.collector_number ?? '').split('/')[0].trim().replace(/^0+(?=.)/, '');
+  const collectorNumber = /^[0-9a-z★-]{1,8}$/i.test(number) ? number.toLowerCase() : null;
+  const frame = FRAME_MATCHERS[raw.frame] ? raw.frame : null;
+  return set || collectorNumber || frame ? { set, collectorNumber, frame } : null;
+}
+
+export function scorePrinting(printing, hints) {
+  let score = 0;
+  if (hints.set && printing.set === hints.set) score += SET_WEIGHT;
+  if (hints.collectorNumber && printing.collector_number?.toLowerCase() === hints.collectorNumber) score += COLLECTOR_NUMBER_WEIGHT;
+  if (hints.frame && FRAME_MATCHERS[hints.frame](printing)) score += FRAME_WEIGHT;
+  return score;
+}
+
+/**
+ * Pick the printing that best matches the hints, preferring the current one on a tie
+ * @returns {Object|null} - The Scryfall printing, or null to keep the current printing
+ */
+export function pickPrinting(printings, hints, currentId) {
+  let best = null;
+  let bestScore = 0;
+  for (const printing of printings) {
+    const score = scorePrinting(printing, hints);
+    if (score > bestScore || (score === bestScore && score > 0 && printing.id === currentId)) {
+      best = printing;
+      bestScore = score;
+    }
+  }
+  return best && best.id !== currentId ? best : null;
+}
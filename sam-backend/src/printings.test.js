@@ -0,0 +1,38 @@
+/**
+ * Tests for printing identification (no network access required)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePrintingHints, pickPrinting, scorePrinting } from './printings.js';
+
+const printings = [
+  { id: 'm2', set: 'm21', collector_number: '199', frame: '2015', border_color: 'black', frame_effects: [] },
+  { id: 'sld', set: 'sld', collector_number: '1451', frame: '2015', border_color: 'borderless', full_art: true },
+  { id: '2x2', set: '2x2', collector_number: '117', frame: '2015', border_color: 'black', frame_effects: ['showcase'] },
+  { id: 'lea', set: 'lea', collector_number: '161', frame: '1993', border_color: 'black' }
+];
+
+test('OCR hints are normalized', () => {
+  assert.deepEqual(normalizePrintingHints({ set: 'M21 ', collector_number: '0199/274', frame: 'normal' }),
+    { set: 'm21', collectorNumber: '199', frame: 'normal' });
+  assert.deepEqual(normalizePrintingHints({ set: 'not a set', collectorNumber: '', frame: 'sparkly' }), null);
+  assert.equal(normalizePrintingHints(null), null);
+  assert.deepEqual(normalizePrintingHints({ frame: 'borderless' }), { set: null, collectorNumber: null, frame: 'borderless' });
+});
+
+test('printings score by set, collector number and frame', () => {
+  assert.equal(scorePrinting(printings[0], { set: 'm21', collectorNumber: '199', frame: 'normal' }), 4);
+  assert.equal(scorePrinting(printings[1], { set: 'm21', collectorNumber: null, frame: 'borderless' }), 1);
+  assert.equal(scorePrinting(printings[3], { set: null, collectorNumber: null, frame: 'retro' }), 1);
+});
+
+test('the best matching printing is picked', () => {
+  assert.equal(pickPrinting(printings, { set: null, collectorNumber: null, frame: 'showcase' }, 'm2').id, '2x2');
+  assert.equal(pickPrinting(printings, { set: 'lea', collectorNumber: null, frame: null }, 'm2').id, 'lea');
+});
+
+test('the current printing is kept on a tie or when nothing matches', () => {
+  assert.equal(pickPrinting(printings, { set: 'm21', collectorNumber: null, frame: null }, 'm2'), null);
+  assert.equal(pickPrinting(printings, { set: 'xyz', collectorNumber: null, frame: null }, 'm2'), null);
+});
@@ -0,0 +1,97 @@
+/**
+ * Stub Gemini and Scryfall servers for offline tests and local development
+ *
+ * Both answer from the recorded responses in fixtures/, so the handler runs end to end
+ * without an API key or network access. Point GEMINI_API_BASE and SCRYFALL_API_BASE at
+ * their URLs before importing index.js. Each stub records the requests it received, and
+ * setting `status` makes it fail every request with that HTTP status.
+ */
+
+import { readFileSync } from 'fs';
+import { createServer } from 'http';
+
+const cards = JSON.parse(readFileSync(new URL('./fixtures/oracle-cards.json', import.meta.url), 'utf8'));
+const geminiResponse = JSON.parse(readFileSync(new URL('./fixtures/gemini-response.json', import.meta.url), 'utf8'));
+
+function normalize(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Fuzzy enough for the fixtures: the full name, a face name, or the start of either
+function findNamed(query) {
+  const q = normalize(query);
+  const names = c => [c.name, ...(c.card_faces || []).map(f => f.name)].map(normalize);
+  return cards.find(c => names(c).includes(q)) || cards.find(c => q.length >= 4 && names(c).some(n => n.startsWith(q)));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function scryfallError(res, status, details) {
+  send(res, status, { object: 'error', code: status === 404 ? 'not_found' : 'bad_request', status, details });
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Start a server on a free local port; resolves to the stub with its `url` and `close()`
+function listen(stub, route) {
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = req.method === 'POST' ? await readBody(req) : undefined;
+    stub.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+    if (stub.status) return send(res, stub.status, { error: { code: stub.status, message: 'Stubbed failure' } });
+    route(url, res, body);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    stub.url = `http://127.0.0.1:${server.address().port}`;
+    stub.close = () => new Promise(done => server.close(done));
+    resolve(stub);
+  }));
+}
+
+export function startScryfallStub() {
+  return listen({ requests: [], status: null }, (url, res) => {
+    const q = url.searchParams.get('q') || '';
+    if (url.pathname === '/cards/named') {
+      const card = findNamed(url.searchParams.get('fuzzy') || url.searchParams.get('exact') || '');
+      return card ? send(res, 200, card) : scryfallError(res, 404, 'No cards found matching the name');
+    }
+    if (url.pathname === '/cards/autocomplete') {
+      const data = cards.map(c => c.name).filter(name => normalize(name).startsWith(normalize(q)));
+      return send(res, 200, { object: 'catalog', total_values: data.length, data });
+    }
+    if (url.pathname === '/cards/search') {
+      const data = cards.filter(c => normalize(c.name).includes(normalize(q)));
+      if (!data.length) return scryfallError(res, 404, 'Your query didn’t match any cards.');
+      return send(res, 200, { object: 'list', total_cards: data.length, has_more: false, data });
+    }
+    const card = url.pathname.startsWith('/cards/') && cards.find(c => c.id === url.pathname.slice('/cards/'.length));
+    if (!card) return scryfallError(res, 404, 'No card found with the given ID or set code and collector number.');
+    // Like Scryfall, ?format=image redirects to the image
+    if (url.searchParams.get('format') === 'image') {
+      const imageUris = card.image_uris || card.card_faces?.[0]?.image_uris || {};
+      const image = imageUris[url.searchParams.get('version') || 'large'] || imageUris.normal;
+      if (!image) return scryfallError(res, 404, 'This card has no image.');
+      res.writeHead(302, { Location: image });
+      return res.end();
+    }
+    return send(res, 200, card);
+  });
+}
+
+// Answers every generateContent call with the recorded response, or with `text` when set
+export function startGeminiStub() {
+  const stub = { requests: [], status: null, text: null };
+  return listen(stub, (url, res) => {
+    if (!url.pathname.endsWith(':generateContent')) return send(res, 404, { error: { code: 404, message: 'Not found' } });
+    if (stub.text === null) return send(res, 200, geminiResponse);
+    const [candidate] = geminiResponse.candidates;
+    send(res, 200, { ...geminiResponse, candidates: [{ ...candidate, content: { ...candidate.content, parts: [{ text: stub.text }] } }] });
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Download the Scryfall oracle cards bulk-data snapshot for the local card index
+ * Usage: node update-card-db.js [output path]   (default: data/oracle-cards.json)
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { slimCard } from './card-index.js';
+
+const BULK_DATA_URL = 'https://api.scryfall.com/bulk-data/oracle-cards';
+const outputPath = process.argv[2] || 'data/oracle-cards.json';
+
+async function main() {
+  const meta = await fetch(BULK_DATA_URL);
+  if (!meta.ok) throw new Error(`Scryfall bulk-data error: ${meta.status}`);
+  const { download_uri: downloadUri, updated_at: updatedAt } = await meta.json();
+
+  console.log(`Downloading oracle cards (${updatedAt})...`);
+  const resp = await fetch(downloadUri);
+  if (!resp.ok) throw new Error(`Bulk download error: ${resp.status}`);
+  const cards = (await resp.json()).map(slimCard);
+
+  await mkdir(dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, JSON.stringify(cards));
+  console.log(`Wrote ${cards.length} cards to ${outputPath}`);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,460 @@
+/**
+ * Passive scan mode for MTG Card Lookup extension
+ * While the video plays, samples frames at the configured interval, finds regions that changed
+ * and look like card name bars, looks them up in the background and lists the cards in a side rail
+ */
+
+// Width of the grayscale copy of the frame used to find changed regions
+const SCAN_ANALYSIS_WIDTH = 640;
+// Changed-region grid cell size and the mean brightness change that marks a cell as changed
+const SCAN_CELL_SIZE = 16;
+const SCAN_CHANGE_THRESHOLD = 18;
+// Rows of a name bar are dense with horizontal brightness edges (text); height is in analysis pixels
+const SCAN_TEXT_EDGE_THRESHOLD = 14;
+const SCAN_MIN_BAR_HEIGHT = 5;
+const SCAN_MAX_BAR_HEIGHT = 40;
+const SCAN_MIN_BAR_ASPECT = 3;
+// Client-side limits that keep passive scanning well under the backend's 10 requests/second
+const SCAN_MAX_LOOKUPS_PER_SAMPLE = 3;
+const SCAN_MIN_LOOKUP_INTERVAL_MS = 500;
+const SCAN_MAX_BACKOFF_MS = 60000;
+// Backend bounds for name captures (see validateImage in the Lambda)
+const SCAN_MIN_CAPTURE_WIDTH = 50;
+const SCAN_MAX_CAPTURE_WIDTH = 1600;
+const SCAN_MIN_CAPTURE_HEIGHT = 20;
+const SCAN_MAX_RAIL_CARDS = 20;
+const SCAN_MAX_RECENT_REGIONS = 100;
+
+const scanState = {
+  timer: null,
+  sampling: false, // a sample is still looking up its name bars
+  previous: null, // grayscale samples of the last frame
+  recentRegions: [], // hashes of regions already looked up
+  seenCards: new Map(), // card id -> { card, videoTime, video }
+  lastLookupAt: 0,
+  backoffUntil: 0,
+  backoffMs: 0,
+  pausedByUser: false,
+  unavailableReason: null
+};
+
+/**
+ * Start or stop scanning to match the settings
+ */
+function updatePassiveScan() {
+  clearInterval(scanState.timer);
+  scanState.timer = null;
+  scanState.previous = null;
+
+  if (!settings.passiveScan) {
+    dismissScanRail();
+    return;
+  }
+
+  scanState.timer = setInterval(sampleFrame, settings.scanInterval * 1000);
+}
+
+/**
+ * Stop scanning on this page until the settings change, keeping the rail with the reason
+ * @param {string} reason - Shown at the top of the rail
+ */
+function stopPassiveScan(reason) {
+  clearInterval(scanState.timer);
+  scanState.timer = null;
+  scanState.unavailableReason = reason;
+  renderScanRail();
+}
+
+/**
+ * Take one sample of the playing video and look up any new name bars in it
+ */
+async function sampleFrame() {
+  // Lookups can outlast the interval; overlapping samples would defeat the request pacing
+  if (scanState.sampling || scanState.pausedByUser || document.hidden || Date.now() < scanState.backoffUntil) {
+    return;
+  }
+
+  scanState.sampling = true;
+  try {
+    await scanFrame();
+  } finally {
+    scanState.sampling = false;
+  }
+}
+
+/**
+ * Look for new name bars in the playing video and look them up
+ */
+async function scanFrame() {
+
+  // Frames without a video (chat, ads) never show the rail
+  const video = findVideo(currentCursorX, currentCursorY);
+  if (!video || video.paused) {
+    return;
+  }
+  if (video.mediaKeys) {
+    scanState.unavailableReason = 'Protected video can’t be scanned';
+    renderScanRail();
+    return;
+  }
+
+  const frame = sampleVideoLuminance(video);
+  if (!frame) {
+    scanState.unavailableReason = 'Cross-origin video can’t be scanned';
+    renderScanRail();
+    return;
+  }
+  scanState.unavailableReason = null;
+
+  const previous = scanState.previous;
+  scanState.previous = frame;
+  if (!previous || previous.width !== frame.width || previous.height !== frame.height) {
+    renderScanRail();
+    return;
+  }
+
+  const bars = findChangedRegions(previous, frame)
+    .flatMap(region => findNameBars(frame, region))
+    .filter(bar => rememberRegion(regionHash(frame, bar)))
+    .slice(0, SCAN_MAX_LOOKUPS_PER_SAMPLE);
+
+  for (const bar of bars) {
+    await lookupNameBar(video, frame, bar);
+  }
+}
+
+/**
+ * Draw the video into a small canvas and return its luminance
+ * @param {HTMLVideoElement} video - The video to sample
+ * @returns {{width: number, height: number, luma: Float32Array}|null} - Samples, or null if the video is tainted
+ */
+function sampleVideoLuminance(video) {
+  const width = Math.min(SCAN_ANALYSIS_WIDTH, video.videoWidth);
+  const height = Math.round(video.videoHeight * width / video.videoWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, width, height);
+  if (!isCanvasReadable(ctx)) {
+    return null;
+  }
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { width, height, luma };
+}
+
+/**
+ * Find the bounding boxes of connected groups of grid cells whose brightness changed
+ * @param {Object} previous - Luminance of the previous sample
+ * @param {Object} frame - Luminance of the current sample
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} - Changed regions in analysis pixels
+ */
+function findChangedRegions(previous, frame) {
+  const columns = Math.ceil(frame.width / SCAN_CELL_SIZE);
+  const rows = Math.ceil(frame.height / SCAN_CELL_SIZE);
+  const changed = new Uint8Array(columns * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let diff = 0;
+      let count = 0;
+      for (let y = row * SCAN_CELL_SIZE; y < Math.min(frame.height, (row + 1) * SCAN_CELL_SIZE); y++) {
+        for (let x = column * SCAN_CELL_SIZE; x < Math.min(frame.width, (column + 1) * SCAN_CELL_SIZE); x++) {
+          diff += Math.abs(frame.luma[y * frame.width + x] - previous.luma[y * frame.width + x]);
+          count++;
+        }
+      }
+      changed[row * columns + column] = diff / count > SCAN_CHANGE_THRESHOLD ? 1 : 0;
+    }
+  }
+
+  // Flood-fill connected cells into regions
+  const regions = [];
+  for (let start = 0; start < changed.length; start++) {
+    if (changed[start] !== 1) continue;
+    let minColumn = columns, minRow = rows, maxColumn = 0, maxRow = 0;
+    const stack = [start];
+    changed[start] = 2;
+    while (stack.length) {
+      const cell = stack.pop();
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      minColumn = Math.min(minColumn, column);
+      maxColumn = Math.max(maxColumn, column);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nextColumn = column + dx;
+        const nextRow = row + dy;
+        const next = nextRow * columns + nextColumn;
+        if (nextColumn >= 0 && nextColumn < columns && nextRow >= 0 && nextRow < rows && changed[next] === 1) {
+          changed[next] = 2;
+          stack.push(next);
+        }
+      }
+    }
+    regions.push({
+      x: minColumn * SCAN_CELL_SIZE,
+      y: minRow * SCAN_CELL_SIZE,
+      width: Math.min(frame.width, (maxColumn + 1) * SCAN_CELL_SIZE) - minColumn * SCAN_CELL_SIZE,
+      height: Math.min(frame.height, (maxRow + 1) * SCAN_CELL_SIZE) - minRow * SCAN_CELL_SIZE
+    });
+  }
+  return regions;
+}
+
+/**
+ * Find horizontal bands of text inside a changed region that are shaped like a card name bar
+ * @param {Object} frame - Luminance of the current sample
+ * @param {{x: number, y: number, width: number, height: number}} region - Changed region
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} - Name bar boxes in analysis pixels
+ */
+function findNameBars(frame, region) {
+  const bars = [];
+  let bandStart = -1;
+
+  for (let y = region.y; y <= region.y + region.height; y++) {
+    let isText = false;
+    if (y < region.y + region.height) {
+      let edges = 0;
+      for (let x = region.x; x < region.x + region.width - 1; x++) {
+        edges += Math.abs(frame.luma[y * frame.width + x + 1] - frame.luma[y * frame.width + x]);
+      }
+      isText = edges / (region.width - 1) > SCAN_TEXT_EDGE_THRESHOLD;
+    }
+
+    if (isText && bandStart < 0) {
+      bandStart = y;
+    } else if (!isText && bandStart >= 0) {
+      const height = y - bandStart;
+      if (height >= SCAN_MIN_BAR_HEIGHT && height <= SCAN_MAX_BAR_HEIGHT && region.width / height >= SCAN_MIN_BAR_ASPECT) {
+        // Pad vertically so the capture includes the whole name bar, like a manual lookup
+        const pad = Math.round(height / 2);
+        const top = Math.max(0, bandStart - pad);
+        bars.push({ x: region.x, y: top, width: region.width, height: Math.min(frame.height, y + pad) - top });
+      }
+      bandStart = -1;
+    }
+  }
+  return bars;
+}
+
+/**
+ * Coarse 8x4 average hash of a region, so the same name bar isn't looked up twice
+ * @returns {string} - Hash bits as a string
+ */
+function regionHash(frame, box) {
+  const cells = [];
+  for (let cy = 0; cy < 4; cy++) {
+    for (let cx = 0; cx < 8; cx++) {
+      const x = Math.floor(box.x + (cx + 0.5) * box.width / 8);
+      const y = Math.floor(box.y + (cy + 0.5) * box.height / 4);
+      cells.push(frame.luma[y * frame.width + x]);
+    }
+  }
+  const mean = cells.reduce((sum, value) => sum + value, 0) / cells.length;
+  return cells.map(value => (value > mean ? '1' : '0')).join('');
+}
+
+/**
+ * Remember a region hash
+ * @returns {boolean} - True if the region is new
+ */
+function rememberRegion(hash) {
+  if (scanState.recentRegions.includes(hash)) {
+    return false;
+  }
+  scanState.recentRegions = [hash, ...scanState.recentRegions].slice(0, SCAN_MAX_RECENT_REGIONS);
+  return true;
+}
+
+/**
+ * Capture a name bar from the full-resolution video and look it up, pacing requests
+ * @param {HTMLVideoElement} video - The video being scanned
+ * @param {Object} frame - Luminance sample the bar was found in
+ * @param {{x: number, y: number, width: number, height: number}} bar - Name bar in analysis pixels
+ */
+async function lookupNameBar(video, frame, bar) {
+  const ratio = video.videoWidth / frame.width;
+  const sourceWidth = bar.width * ratio;
+  const sourceHeight = bar.height * ratio;
+  const scale = Math.min(SCAN_MAX_CAPTURE_WIDTH / sourceWidth, Math.max(1, SCAN_MIN_CAPTURE_HEIGHT / sourceHeight));
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+  // The backend rejects smaller captures
+  if (width < SCAN_MIN_CAPTURE_WIDTH || height < SCAN_MIN_CAPTURE_HEIGHT) {
+    return;
+  }
+
+  const wait = scanState.lastLookupAt + SCAN_MIN_LOOKUP_INTERVAL_MS - Date.now();
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  scanState.lastLookupAt = Date.now();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(video, bar.x * ratio, bar.y * ratio, sourceWidth, sourceHeight, 0, 0, canvas.width, canvas.height);
+  const videoTime = Math.floor(video.currentTime);
+
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage(
+      { action: 'lookupCard', imageData: canvas.toDataURL('image/png'), mode: 'name', source: 'scan' },
+      (result) => resolve(chrome.runtime.lastError ? null : result)
+    );
+  });
+
+  if (response && !response.success && response.code === 'scan_quota_exceeded') {
+    // Out of scan lookups until the quota resets; polling until then would only be refused again
+    stopPassiveScan('Daily scan limit reached, scanning is off until tomorrow');
+    return;
+  }
+  if (response && !response.success && response.status === 429) {
+    // Throttled: back off exponentially before the next sample, or as long as the backend asks (daily quota)
+    scanState.backoffMs = Math.min(SCAN_MAX_BACKOFF_MS, (scanState.backoffMs || settings.scanInterval * 1000) * 2);
+    scanState.backoffUntil = Date.now() + Math.max(scanState.backoffMs, (response.retryAfter || 0) * 1000);
+    return;
+  }
+  scanState.backoffMs = 0;
+
+  if (response && response.success && response.found && response.card) {
+    const card = response.card;
+    // Dedupe across frames: a card seen again moves to the top with its latest timestamp
+    scanState.seenCards.delete(card.id);
+    scanState.seenCards.set(card.id, { card, videoTime, video });
+    while (scanState.seenCards.size > SCAN_MAX_RAIL_CARDS) {
+      scanState.seenCards.delete(scanState.seenCards.keys().next().value);
+    }
+    renderScanRail();
+  }
+}
+
+/**
+ * Format a video position in seconds as h:mm:ss or m:ss
+ * @param {number} seconds - Position in the video
+ * @returns {string} - Formatted timestamp
+ */
+function formatScanTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Show (or refresh) the side rail listing the cards seen so far, newest first
+ */
+function renderScanRail() {
+  let rail = overlays.find('.mtg-scan-rail');
+  if (!rail) {
+    rail = document.createElement('aside');
+    rail.className = 'mtg-scan-rail';
+    rail.setAttribute('aria-label', 'Cards seen in this video');
+    overlays.add(rail);
+  }
+
+  const header = document.createElement('div');
+  header.className = 'mtg-scan-rail-header';
+  if (!scanState.timer) {
+    header.textContent = 'Scanning stopped';
+  } else {
+    header.textContent = scanState.pausedByUser ? 'Scanning paused' : 'Scanning for cards';
+  }
+
+  const pauseButton = document.createElement('button');
+  pauseButton.className = 'mtg-scan-rail-button';
+  pauseButton.textContent = scanState.pausedByUser ? 'Resume' : 'Pause';
+  pauseButton.addEventListener('click', () => {
+    scanState.pausedByUser = !scanState.pausedByUser;
+    scanState.previous = null;
+    renderScanRail();
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'mtg-scan-rail-button';
+  closeButton.textContent = '×';
+  closeButton.setAttribute('aria-label', 'Stop scanning on this page');
+  closeButton.addEventListener('click', () => {
+    scanState.pausedByUser = true;
+    dismissScanRail();
+  });
+
+  if (scanState.timer) {
+    header.appendChild(pauseButton);
+  }
+  header.appendChild(closeButton);
+
+  const list = document.createElement('ul');
+  list.className = 'mtg-scan-rail-list';
+  if (scanState.unavailableReason) {
+    const notice = document.createElement('li');
+    notice.className = 'mtg-scan-rail-notice';
+    notice.textContent = scanState.unavailableReason;
+    list.appendChild(notice);
+  }
+
+  for (const { card, videoTime, video } of [...scanState.seenCards.values()].reverse()) {
+    const item = document.createElement('li');
+    item.className = 'mtg-scan-rail-item';
+
+    const cardButton = document.createElement('button');
+    cardButton.className = 'mtg-scan-rail-card';
+    cardButton.title = `Show ${card.name}`;
+    if (card.thumbnailUrl) {
+      const thumbnail = document.createElement('img');
+      thumbnail.src = card.thumbnailUrl;
+      thumbnail.alt = '';
+      cardButton.appendChild(thumbnail);
+    }
+    cardButton.appendChild(document.createTextNode(card.name));
+    cardButton.addEventListener('click', () => {
+      const rect = cardButton.getBoundingClientRect();
+      showCardOverlay(card, [], { x: rect.left, y: rect.top });
+      recordLookupHistory(card);
+    });
+
+    const timeButton = document.createElement('button');
+    timeButton.className = 'mtg-scan-rail-time';
+    timeButton.textContent = formatScanTime(videoTime);
+    timeButton.title = 'Jump to this moment';
+    timeButton.addEventListener('click', () => {
+      video.currentTime = videoTime;
+    });
+
+    item.appendChild(cardButton);
+    item.appendChild(timeButton);
+    list.appendChild(item);
+  }
+
+  rail.replaceChildren(header, list);
+}
+
+/**
+ * Remove the side rail
+ */
+function dismissScanRail() {
+  const rail = overlays.find('.mtg-scan-rail');
+  if (rail) {
+    rail.remove();
+  }
+}
+
+loadSettings((loaded) => {
+  settings = loaded;
+  updatePassiveScan();
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && (changes.passiveScan || changes.scanInterval)) {
+    loadSettings((loaded) => {
+      settings = loaded;
+      scanState.pausedByUser = false;
+      updatePassiveScan();
+    });
+  }
+});
@@ -0,0 +1,135 @@
+/**
+ * User settings for MTG Card Lookup extension
+ * Shared by the content script, service worker, popup and options page; stored in chrome.storage.sync
+ */
+
+// Backend used when no self-hosted endpoint is configured
+const DEFAULT_API_BASE = 'https://ol1tn98osl.execute-api.us-west-2.amazonaws.com/prod';
+
+// Hotkeys are stored as modifier names plus the KeyboardEvent.code of the key,
+// e.g. 'Ctrl+Backquote', so they follow the physical key on any keyboard layout
+const DEFAULT_SETTINGS = {
+  lookupHotkey: 'Backquote',
+  artHotkey: 'Ctrl+Backquote',
+  frameHotkey: 'Alt+Backquote',
+  debugHotkey: 'Shift+Backquote',
+  searchHotkey: 'Ctrl+Shift+Backquote',
+  regionWidth: 125,
+  regionHeight: 60,
+  captureScale: 2,
+  // Also capture the rest of the card so the backend can tell which printing it is
+  identifyPrinting: true,
+  // How cards are shown: 'modal' (centered overlay over a backdrop) or 'popover' (compact, non-blocking)
+  displayMode: 'modal',
+  // Passive scan mode: sample the playing video every scanInterval seconds
+  passiveScan: false,
+  scanInterval: 3,
+  // Self-hosted backend base URL (the stack's ApiBaseUrl output); empty uses the hosted backend
+  apiEndpoint: ''
+};
+
+// Allowed ranges for numeric settings; the backend accepts any capture within these
+// bounds (regionWidth * captureScale by regionHeight * captureScale)
+const SETTING_LIMITS = {
+  regionWidth: { min: 60, max: 400 },
+  regionHeight: { min: 30, max: 200 },
+  captureScale: { min: 1, max: 4 },
+  scanInterval: { min: 1, max: 30 }
+};
+
+const DISPLAY_MODES = {
+  modal: 'Full overlay (pauses interaction with the page)',
+  popover: 'Compact popover next to the cursor'
+};
+
+const HOTKEY_SETTINGS = {
+  lookupHotkey: 'Look up card name',
+  artHotkey: 'Look up by card art',
+  frameHotkey: 'Find every card in the frame',
+  debugHotkey: 'Debug mode',
+  searchHotkey: 'Search Scryfall'
+};
+
+const MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight'];
+
+/**
+ * Build the hotkey string for a key press
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {string|null} - Hotkey such as 'Alt+Backquote', or null for a bare modifier key
+ */
+function hotkeyFromEvent(event) {
+  if (MODIFIER_CODES.includes(event.code)) {
+    return null;
+  }
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+  if (event.metaKey) modifiers.push('Meta');
+  return [...modifiers, event.code].join('+');
+}
+
+/**
+ * Human-readable form of a hotkey string
+ * @param {string} hotkey - Hotkey such as 'Ctrl+Backquote'
+ * @returns {string} - Display text such as 'Ctrl+`'
+ */
+function formatHotkey(hotkey) {
+  return hotkey.split('+').map(part => {
+    if (part === 'Backquote') return '`';
+    if (/^Key[A-Z]$/.test(part)) return part.slice(3);
+    if (/^Digit\d$/.test(part)) return part.slice(5);
+    return part;
+  }).join('+');
+}
+
+/**
+ * Clean up a backend URL entered on the options page; the stack's ApiEndpoint output
+ * (ending in /lookup) is accepted too. Only https is allowed, except for a local dev server.
+ * @param {string} text - URL as entered
+ * @returns {string|null} - Base URL without a trailing slash, '' for the hosted backend, or null if invalid
+ */
+function parseApiEndpoint(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return '';
+  }
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return null;
+  }
+  const local = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  if ((url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) || url.search || url.hash || url.username) {
+    return null;
+  }
+  return url.origin + url.pathname.replace(/\/+$/, '').replace(/\/lookup$/, '');
+}
+
+/**
+ * Clamp stored settings to the allowed ranges, filling in defaults for missing values
+ * @param {Object} stored - Settings read from chrome.storage.sync
+ * @returns {Object} - Complete, valid settings
+ */
+function normalizeSettings(stored) {
+  const settings = { ...DEFAULT_SETTINGS, ...stored };
+  if (!DISPLAY_MODES[settings.displayMode]) {
+    settings.displayMode = DEFAULT_SETTINGS.displayMode;
+  }
+  const apiEndpoint = parseApiEndpoint(settings.apiEndpoint);
+  settings.apiEndpoint = apiEndpoint === null ? DEFAULT_SETTINGS.apiEndpoint : apiEndpoint;
+  for (const [name, { min, max }] of Object.entries(SETTING_LIMITS)) {
+    const value = Math.round(Number(settings[name]));
+    settings[name] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_SETTINGS[name];
+  }
+  return settings;
+}
+
+/**
+ * Read the settings from chrome.storage.sync
+ * @param {Function} callback - Called with the complete settings
+ */
+function loadSettings(callback) {
+  chrome.storage.sync.get(DEFAULT_SETTINGS, (stored) => callback(normalizeSettings(stored)));
+}
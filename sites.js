@@ -0,0 +1,131 @@
+/**
+ * Site adapters for MTG Card Lookup extension
+ * Each adapter knows where a site keeps its player video and how to link back to a moment in it
+ */
+
+/**
+ * Format seconds as Twitch's 1h2m3s timestamp
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Timestamp such as '1h02m03s'
+ */
+function toTwitchTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = seconds % 60;
+  return `${h}h${String(m).padStart(2, '0')}m${String(s).padStart(2, '0')}s`;
+}
+
+const SITE_ADAPTERS = [
+  {
+    name: 'YouTube',
+    hosts: ['www.youtube.com', 'm.youtube.com', 'www.youtube-nocookie.com'],
+    // The main player, including theater mode, mini player and /embed/ players
+    videoSelector: '#movie_player video, .html5-video-player video',
+    getVideoId(url) {
+      if (url.searchParams.get('v')) {
+        return url.searchParams.get('v');
+      }
+      const match = url.pathname.match(/^\/(?:shorts|live|embed)\/([\w-]+)/);
+      return match ? match[1] : null;
+    },
+    getTimestampUrl(url, seconds) {
+      const videoId = this.getVideoId(url);
+      if (!videoId) return null;
+      return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${seconds}s`;
+    }
+  },
+  {
+    name: 'Twitch',
+    hosts: ['www.twitch.tv', 'm.twitch.tv', 'player.twitch.tv'],
+    videoSelector: '[data-a-target="video-player"] video, .video-player video',
+    getVideoId(url) {
+      const match = url.pathname.match(/^\/videos\/(\d+)/);
+      return match ? match[1] : url.searchParams.get('video');
+    },
+    // Only VODs can be linked at a time; live streams link to the channel
+    getTimestampUrl(url, seconds) {
+      const videoId = this.getVideoId(url);
+      if (!videoId) return null;
+      return `https://www.twitch.tv/videos/${videoId.replace(/^v/, '')}?t=${toTwitchTime(seconds)}`;
+    }
+  },
+  {
+    name: 'Kick',
+    hosts: ['kick.com', 'player.kick.com'],
+    videoSelector: '#video-player, video',
+    getVideoId(url) {
+      const match = url.pathname.match(/^\/[\w-]+\/videos\/([\w-]+)/);
+      return match ? match[1] : null;
+    },
+    getTimestampUrl(url, seconds) {
+      if (!this.getVideoId(url)) return null;
+      const target = new URL(url);
+      target.searchParams.set('t', seconds);
+      return target.href;
+    }
+  }
+];
+
+// Any other page the user has enabled: every <video> is a candidate
+const GENERIC_ADAPTER = {
+  name: 'Web page',
+  hosts: [],
+  videoSelector: 'video',
+  getVideoId: () => null,
+  getTimestampUrl: () => null
+};
+
+/**
+ * Get the adapter for the current page
+ * @returns {Object} - Site adapter
+ */
+function getSiteAdapter() {
+  return SITE_ADAPTERS.find(adapter => adapter.hosts.includes(location.hostname)) || GENERIC_ADAPTER;
+}
+
+/**
+ * Find the video the user is pointing at
+ * Prefers the site's player under the cursor, then any video under the cursor, then the
+ * largest playing video; only videos inside the fullscreen element count in fullscreen
+ * @param {number} x - X coordinate in the viewport
+ * @param {number} y - Y coordinate in the viewport
+ * @returns {HTMLVideoElement|null} - The video, or null if the page has none ready
+ */
+function findVideo(x, y) {
+  const root = document.fullscreenElement || document;
+  const ready = video => video.readyState >= 2 && video.videoWidth > 0; // HAVE_CURRENT_DATA or better
+  const contains = (video) => {
+    const rect = video.getBoundingClientRect();
+    return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+  };
+
+  const playerVideos = [...root.querySelectorAll(getSiteAdapter().videoSelector)].filter(ready);
+  const allVideos = [...root.querySelectorAll('video')].filter(ready);
+  if (root instanceof HTMLVideoElement && ready(root)) {
+    allVideos.push(root);
+  }
+
+  const underCursor = playerVideos.find(contains) || allVideos.find(contains);
+  if (underCursor) {
+    return underCursor;
+  }
+
+  const area = (video) => {
+    const rect = video.getBoundingClientRect();
+    return rect.width * rect.height * (video.paused ? 1 : 2);
+  };
+  const candidates = playerVideos.length ? playerVideos : allVideos;
+  return candidates.sort((a, b) => area(b) - area(a))[0] || null;
+}
+
+/**
+ * Find an embedded frame under the cursor that may contain the video, e.g. a YouTube or
+ * Twitch player on a coverage site
+ * @param {number} x - X coordinate in the viewport
+ * @param {number} y - Y coordinate in the viewport
+ * @returns {HTMLIFrameElement|null} - The iframe under the cursor
+ */
+function findFrameAt(x, y) {
+  const element = document.elementFromPoint(x, y);
+  return element && element.tagName === 'IFRAME' ? element : null;
+}